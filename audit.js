@@ -0,0 +1,92 @@
+/**
+ * audit.js
+ * Data-quality audit of data/medicines.json: alternatives dearer than the brand,
+ * a first alternative that is not the cheapest, categories with no name in
+ * locales/en.json, brands priced differently in different places, and more
+ * (see tools/audit.js for the full list and severities).
+ * Writes audit/report.json and audit/report.html, and exits with status 1 when
+ * anything at or above --fail-on (default: error) is found, so it can gate a deploy:
+ *   node audit.js && node generate-pages.js
+ * Run: node audit.js [file] [--out <dir>] [--fail-on error|warning|info|none]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DATA_FILE, loadMedicines } = require('./tools/medicine-db');
+const { SEVERITIES, CHECKS, auditMedicines } = require('./tools/audit');
+const { loadTemplates } = require('./tools/template');
+
+// ─── Options ─────────────────────────────────────────────────────────────────
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+    const i = args.indexOf(name);
+    return i === -1 ? fallback : args[i + 1];
+};
+const outDir = path.resolve(option('--out', path.join(__dirname, 'audit')));
+const failOn = option('--fail-on', 'error');
+const file = args.find((a, i) => !a.startsWith('--') && !['--out', '--fail-on'].includes(args[i - 1]));
+const dataFile = file ? path.resolve(file) : DATA_FILE;
+
+if (failOn !== 'none' && !SEVERITIES.includes(failOn)) {
+    console.error(`Usage: node audit.js [file] [--out <dir>] [--fail-on ${SEVERITIES.join('|')}|none]`);
+    process.exit(1);
+}
+
+let medicines;
+try {
+    medicines = loadMedicines(dataFile);
+} catch (e) {
+    console.error(`❌ Could not read ${path.relative(process.cwd(), dataFile)}: ${e.message}`);
+    process.exit(1);
+}
+
+// ─── Audit ───────────────────────────────────────────────────────────────────
+const { issues, counts } = auditMedicines(medicines);
+const generated = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+const relFile = path.relative(__dirname, dataFile);
+
+const report = {
+    generated,
+    file: relFile,
+    medicines: medicines.length,
+    counts,
+    checks: CHECKS,
+    issues
+};
+
+// ─── Write reports ───────────────────────────────────────────────────────────
+if (!fs.existsSync(outDir)) fs.mkdirSync(outDir, { recursive: true });
+fs.writeFileSync(path.join(outDir, 'report.json'), JSON.stringify(report, null, 2) + '\n', 'utf8');
+
+const render = loadTemplates();
+fs.writeFileSync(path.join(outDir, 'report.html'), render('audit', {
+    generated,
+    file: relFile,
+    count: medicines.length,
+    totals: SEVERITIES.map(severity => ({ severity, count: counts[severity] })),
+    checks: Object.entries(CHECKS).map(([check, description]) => {
+        const found = issues.filter(issue => issue.check === check);
+        return { check, description, count: found.length, issues: found };
+    })
+}), 'utf8');
+
+// ─── Summary ─────────────────────────────────────────────────────────────────
+Object.keys(CHECKS).forEach(check => {
+    const found = issues.filter(issue => issue.check === check);
+    if (found.length === 0) return;
+    const icon = found.some(i => i.severity === 'error') ? '❌' : found.some(i => i.severity === 'warning') ? '⚠️' : 'ℹ️';
+    console.log(`${icon} ${check}: ${found.length} (${CHECKS[check].toLowerCase()})`);
+    found.filter(i => i.severity === 'error').forEach(i => console.log(`   ✗ ${i.brand ? i.brand + ': ' : ''}${i.message}`));
+});
+
+const where = path.relative(process.cwd(), outDir) || '.';
+console.log(`\n📊 ${medicines.length} medicines: ${counts.error} errors, ${counts.warning} warnings, ${counts.info} info`);
+console.log(`   Reports: ${where}/report.html, ${where}/report.json`);
+
+const failing = failOn === 'none' ? 0
+    : SEVERITIES.slice(0, SEVERITIES.indexOf(failOn) + 1).reduce((sum, s) => sum + counts[s], 0);
+if (failing > 0) {
+    console.error(`❌ Audit failed: ${failing} problem${failing !== 1 ? 's' : ''} at or above "${failOn}"`);
+    process.exit(1);
+}
+console.log(failOn === 'none' ? '✅ Audit done (--fail-on none)' : `✅ Audit passed (nothing at or above "${failOn}")`);
@@ -0,0 +1,81 @@
+/**
+ * check-import.js
+ * Checks which brand names import-medicines.js refuses as near duplicates of
+ * a catalogue brand, and that --allow-similar lets them through. The import
+ * runs as a dry run, so data/medicines.json is never written.
+ * Run: node check-import.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { isNearDuplicate } = require('./import-medicines');
+
+let failed = 0;
+let passed = 0;
+
+function check(name, ok, detail) {
+    if (ok) {
+        passed++;
+        console.log(`✅ ${name}`);
+    } else {
+        failed++;
+        console.error(`❌ ${name}${detail ? `\n   ✗ ${detail}` : ''}`);
+    }
+}
+
+// ─── Near duplicates ─────────────────────────────────────────────────────────
+const SAME = [
+    ['Atorva-20', 'Atorva 20'],
+    ['Bromhexine 8', 'Bromhexine 8mg'],
+    ['Clindamycin Gel 1', 'Clindamycin 1% Gel'],
+    ['Glycomet 500', 'Glycomt 500'],
+    ['Candid B', 'Candid-B']
+];
+const DIFFERENT = [
+    ['Meftal', 'Meftal-P'],
+    ['Candid', 'Candid-B'],
+    ['Betnovate', 'Betnovate-N'],
+    ['Telma 40', 'Telma H 40'],
+    ['Zantac', 'Rantac'],
+    ['Telma 40', 'Telma 80']
+];
+
+SAME.forEach(([a, b]) => check(`"${a}" and "${b}" are near duplicates`, isNearDuplicate(a, b)));
+DIFFERENT.forEach(([a, b]) => check(`"${a}" and "${b}" are different brands`, !isNearDuplicate(a, b)));
+
+// ─── Import command ──────────────────────────────────────────────────────────
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'generic-med-import-'));
+const file = path.join(dir, 'similar.json');
+fs.writeFileSync(file, JSON.stringify([{
+    brand: 'Bromhexin 8',
+    generic: 'Bromhexine 8mg',
+    category: 'cold-cough',
+    usage: 'Loosens mucus in wet cough',
+    priceRange: '₹15-25 per strip (10 tablets)',
+    alternatives: [{ name: 'Bromhexine 8mg (Generic)', price: '₹8-14' }]
+}]));
+
+function runImport(...flags) {
+    try {
+        return { status: 0, output: execFileSync(process.execPath, [path.join(__dirname, 'import-medicines.js'), file, ...flags], { encoding: 'utf8', stdio: 'pipe' }) };
+    } catch (e) {
+        return { status: e.status, output: `${e.stdout}${e.stderr}` };
+    }
+}
+
+try {
+    const refused = runImport();
+    check('a brand like an existing one is refused', refused.status === 1 && /looks like existing "Bromhexine 8"/.test(refused.output), refused.output.trim());
+    const allowed = runImport('--allow-similar');
+    check('--allow-similar adds it anyway', allowed.status === 0 && /^\+ Bromhexin 8 /m.test(allowed.output), allowed.output.trim());
+} finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+}
+
+if (failed > 0) {
+    console.error(`❌ ${failed} of ${passed + failed} checks failed`);
+    process.exit(1);
+}
+console.log(`📊 ${passed} checks passed`);
@@ -0,0 +1,68 @@
+/**
+ * check-locales.js
+ * Checks the message catalogues in locales/ against the English one
+ * (js/i18n.js checkCatalogue): every key translated, no unknown keys, the
+ * same {placeholders}, and the plural forms each language needs. Also checks
+ * that the English catalogue has every key index.html and the templates use.
+ * Run: node check-locales.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const MedI18n = require('./js/i18n');
+const { catalogueFile, loadCatalogue } = require('./tools/locales');
+const { TEMPLATES_DIR } = require('./tools/template');
+
+let failed = 0;
+
+function report(name, problems) {
+    if (problems.length === 0) {
+        console.log(`✅ ${name}`);
+        return;
+    }
+    failed++;
+    console.error(`❌ ${name} (${problems.length} problem${problems.length !== 1 ? 's' : ''})`);
+    problems.forEach(p => console.error(`   ✗ ${p}`));
+}
+
+const english = loadCatalogue(MedI18n.DEFAULT_LANGUAGE);
+
+// ─── Keys used by the site ───────────────────────────────────────────────────
+// Keys built at run time ('category.' + id...) cannot be found this way
+const sources = ['index.html', 'sw.js', 'js/reminders.js'].map(f => path.join(__dirname, f))
+    .concat(['', 'partials'].flatMap(dir => fs.readdirSync(path.join(TEMPLATES_DIR, dir))
+        .filter(f => f.endsWith('.html')).map(f => path.join(TEMPLATES_DIR, dir, f))));
+// data-i18n="key" (and -html, -placeholder...), t('key', ...) and {{@ key}}
+const KEY_PATTERNS = [
+    /data-i18n(?:-[a-z-]+)?="([a-zA-Z]+\.[\w.-]*\w)"/g,
+    /\bt\('([a-zA-Z]+\.[\w.-]*\w)'\s*[,)]/g,
+    /\{\{\{?@\s*([a-zA-Z]+\.[\w.-]*\w)/g
+];
+const used = new Set();
+sources.forEach(file => {
+    const text = fs.readFileSync(file, 'utf8');
+    KEY_PATTERNS.forEach(pattern => {
+        for (const m of text.matchAll(pattern)) used.add(m[1]);
+    });
+});
+report(`${path.relative(__dirname, catalogueFile(MedI18n.DEFAULT_LANGUAGE))}: ${used.size} keys used by the site`,
+    [...used].filter(key => !(key in english)).map(key => `missing "${key}"`));
+
+// ─── Translations ────────────────────────────────────────────────────────────
+MedI18n.LANGUAGES.filter(({ code }) => code !== MedI18n.DEFAULT_LANGUAGE).forEach(({ code, name }) => {
+    const file = path.relative(__dirname, catalogueFile(code));
+    let messages;
+    try {
+        messages = loadCatalogue(code);
+    } catch (e) {
+        report(`${file} (${name})`, [e.message]);
+        return;
+    }
+    report(`${file} (${name}): ${Object.keys(messages).length} messages`, MedI18n.checkCatalogue(code, messages, english));
+});
+
+if (failed > 0) {
+    console.error(`❌ ${failed} catalogue${failed !== 1 ? 's have' : ' has'} problems`);
+    process.exit(1);
+}
+console.log(`📊 ${MedI18n.LANGUAGES.length} languages, ${Object.keys(english).length} messages each`);
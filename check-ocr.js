@@ -0,0 +1,79 @@
+/**
+ * check-ocr.js
+ * Checks the photo clean-up in js/ocr.js on synthetic pages: lines of "text"
+ * drawn at a known angle must be measured at that angle, clockwise positive,
+ * and turning the page back the way prepareImage() does must leave them level.
+ * Run: node check-ocr.js
+ */
+
+const { toGray, threshold, estimateSkew } = require('./js/ocr');
+
+const WIDTH = 400;
+const HEIGHT = 300;
+let failed = 0;
+let passed = 0;
+
+function check(name, ok, detail) {
+    if (ok) {
+        passed++;
+        console.log(`✅ ${name}`);
+    } else {
+        failed++;
+        console.error(`❌ ${name}${detail ? `\n   ✗ ${detail}` : ''}`);
+    }
+}
+
+// White RGBA page, with `ink(x, y)` pixels black
+function page(ink) {
+    const data = new Uint8ClampedArray(WIDTH * HEIGHT * 4).fill(255);
+    for (let y = 0; y < HEIGHT; y++) {
+        for (let x = 0; x < WIDTH; x++) {
+            if (!ink(x, y)) continue;
+            const i = (y * WIDTH + x) * 4;
+            data[i] = data[i + 1] = data[i + 2] = 0;
+        }
+    }
+    return { data, width: WIDTH, height: HEIGHT };
+}
+
+// Lines of words, 30px apart, sloping down to the right by `angle` degrees on screen
+// (y grows downwards, as on a canvas)
+function textPage(angle) {
+    const tan = Math.tan(angle * Math.PI / 180);
+    return page((x, y) => {
+        if (x < 40 || x >= WIDTH - 40 || (x % 50) > 38) return false;
+        const row = y - 40 - (x - WIDTH / 2) * tan;
+        return row >= 0 && row < 220 && row % 30 < 4;
+    });
+}
+
+// The page turned by `angle` degrees about its centre, as ctx.rotate(angle) turns a
+// canvas: clockwise on screen for positive angles
+function rotate(image, angle) {
+    const a = angle * Math.PI / 180, cos = Math.cos(a), sin = Math.sin(a);
+    const cx = WIDTH / 2, cy = HEIGHT / 2;
+    return page((x, y) => {
+        // Where the pixel came from: the inverse turn
+        const sx = Math.round(cx + (x - cx) * cos + (y - cy) * sin);
+        const sy = Math.round(cy - (x - cx) * sin + (y - cy) * cos);
+        if (sx < 0 || sy < 0 || sx >= WIDTH || sy >= HEIGHT) return false;
+        return image.data[(sy * WIDTH + sx) * 4] === 0;
+    });
+}
+
+const skewOf = (image) => estimateSkew(threshold(toGray(image), WIDTH, HEIGHT), WIDTH, HEIGHT);
+
+check('level text has no skew', Math.abs(skewOf(textPage(0))) <= 0.5, skewOf(textPage(0)));
+[3, -4, 7.5].forEach(angle => {
+    const skew = skewOf(textPage(angle));
+    check(`text sloping ${angle > 0 ? 'down' : 'up'} by ${Math.abs(angle)}° measures ${angle}°`, Math.abs(skew - angle) <= 0.5, `measured ${skew}°`);
+    // prepareImage() draws the photo with ctx.rotate(-skew)
+    const straightened = skewOf(rotate(textPage(angle), -skew));
+    check(`turning it by ${-skew}° levels it`, Math.abs(straightened) <= 0.5, `still ${straightened}°`);
+});
+
+if (failed > 0) {
+    console.error(`❌ ${failed} of ${passed + failed} checks failed`);
+    process.exit(1);
+}
+console.log(`📊 ${passed} checks passed`);
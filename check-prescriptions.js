@@ -0,0 +1,82 @@
+/**
+ * check-prescriptions.js
+ * Runs the prescription parser (js/prescription.js) over the OCR samples in
+ * fixtures/prescriptions/: each <name>.txt must give the line items in
+ * <name>.json, each matched to the medicine named in its "match" (null when
+ * no medicine should be a confident match).
+ * Run: node check-prescriptions.js [--verbose]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DATA_FILE, loadMedicines } = require('./tools/medicine-db');
+const { buildIndex, indexMatches } = require('./js/search');
+const { parse, matchItem, confidenceLevel } = require('./js/prescription');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'prescriptions');
+const FIELDS = ['form', 'name', 'strength', 'dose', 'frequency', 'days', 'ongoing', 'instructions'];
+const verbose = process.argv.includes('--verbose');
+
+const medicines = loadMedicines(DATA_FILE);
+const indexFile = path.join(__dirname, 'data', 'search-index.json');
+const saved = fs.existsSync(indexFile) ? JSON.parse(fs.readFileSync(indexFile, 'utf8')) : null;
+const index = indexMatches(saved, medicines) ? saved : buildIndex(medicines);
+
+// The medicine an item is matched to, unless the match is only a guess
+function bestMatch(item) {
+    const best = matchItem(item, index, medicines)[0];
+    return best && confidenceLevel(best.confidence) !== 'low' ? best : null;
+}
+
+const samples = fs.readdirSync(FIXTURES).filter(f => f.endsWith('.txt')).sort();
+let failed = 0;
+let itemCount = 0;
+
+samples.forEach(file => {
+    const name = file.replace(/\.txt$/, '');
+    const expectedFile = path.join(FIXTURES, name + '.json');
+    const items = parse(fs.readFileSync(path.join(FIXTURES, file), 'utf8'));
+    const problems = [];
+
+    if (!fs.existsSync(expectedFile)) {
+        problems.push(`no ${name}.json with the expected items`);
+    } else {
+        const expected = JSON.parse(fs.readFileSync(expectedFile, 'utf8'));
+        if (items.length !== expected.length) problems.push(`expected ${expected.length} items, got ${items.length}`);
+        expected.forEach((want, i) => {
+            const got = items[i];
+            if (!got) return;
+            FIELDS.forEach(field => {
+                if (JSON.stringify(got[field]) !== JSON.stringify(want[field])) {
+                    problems.push(`item ${i + 1} ${field}: expected ${JSON.stringify(want[field])}, got ${JSON.stringify(got[field])}`);
+                }
+            });
+            const match = bestMatch(got);
+            const brand = match ? match.med.brand : null;
+            if (brand !== want.match) problems.push(`item ${i + 1} match: expected ${JSON.stringify(want.match)}, got ${JSON.stringify(brand)}`);
+        });
+    }
+    itemCount += items.length;
+
+    if (problems.length) {
+        failed++;
+        console.error(`❌ ${file}`);
+        problems.forEach(p => console.error(`   ✗ ${p}`));
+    } else {
+        console.log(`✅ ${file} (${items.length} item${items.length !== 1 ? 's' : ''})`);
+    }
+    if (verbose) {
+        items.forEach(item => {
+            const match = bestMatch(item);
+            const freq = item.frequency ? `${item.frequency.text} (${item.frequency.perDay === null ? 'as needed' : item.frequency.perDay + '/day'})` : '-';
+            const days = item.ongoing ? 'ongoing' : item.days ? `${item.days} days` : '-';
+            console.log(`   ${item.name} ${item.strength || ''} | ${freq} | ${days} → ${match ? `${match.med.brand} (${match.confidence})` : 'no match'}`);
+        });
+    }
+});
+
+if (failed > 0) {
+    console.error(`❌ ${failed} of ${samples.length} samples did not parse as expected`);
+    process.exit(1);
+}
+console.log(`📊 ${samples.length} samples, ${itemCount} items parsed as expected`);
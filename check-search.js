@@ -0,0 +1,52 @@
+/**
+ * check-search.js
+ * Checks the sound-alike matching in js/search.js against the catalogue:
+ * misspellings that sound like a drug name still find it, and gibberish whose
+ * sound-alike key is short or shared by unrelated words finds nothing.
+ * Run: node check-search.js
+ */
+
+const { loadMedicines } = require('./tools/medicine-db');
+const { buildIndex, search, suggest } = require('./js/search');
+
+const medicines = loadMedicines();
+const index = buildIndex(medicines);
+let failed = 0;
+let passed = 0;
+
+function check(name, ok, detail) {
+    if (ok) {
+        passed++;
+        console.log(`✅ ${name}`);
+    } else {
+        failed++;
+        console.error(`❌ ${name}${detail ? `\n   ✗ ${detail}` : ''}`);
+    }
+}
+
+const brands = (query) => search(index, medicines, query).slice(0, 5).map(r => r.med.brand);
+
+// ─── Sound-alikes ────────────────────────────────────────────────────────────
+// [query, a brand it must find, the word "Did you mean" should offer]
+const SOUNDS = [
+    ['fenitoin', 'Dilantin', 'phenytoin'],
+    ['amoksisilin', 'Augmentin', 'amoxicillin'],
+    ['sefixime', 'Zifi', 'cefixime']
+];
+
+SOUNDS.forEach(([query, brand, word]) => {
+    check(`"${query}" finds ${brand}`, brands(query).includes(brand), brands(query).join(', '));
+    check(`"${query}" suggests "${word}"`, suggest(index, query) === word, suggest(index, query));
+});
+
+// ─── Gibberish ───────────────────────────────────────────────────────────────
+['xyzzy', 'zzzz', 'qwerty'].forEach(query => {
+    check(`"${query}" finds nothing`, brands(query).length === 0, brands(query).join(', '));
+    check(`"${query}" suggests nothing`, suggest(index, query) === null, suggest(index, query));
+});
+
+if (failed > 0) {
+    console.error(`❌ ${failed} of ${passed + failed} checks failed`);
+    process.exit(1);
+}
+console.log(`📊 ${passed} checks passed`);
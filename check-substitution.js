@@ -0,0 +1,109 @@
+/**
+ * check-substitution.js
+ * Checks how alternatives are classified (js/substitution.js) on catalogue
+ * pairs that have been got wrong before, which alternative the savings
+ * headline is based on, and that a course is costed on that alternative.
+ * Run: node check-substitution.js
+ */
+
+const { loadMedicines } = require('./tools/medicine-db');
+const { classify, savingsAlternative } = require('./js/substitution');
+const { scheduleCost } = require('./js/price');
+
+const medicines = loadMedicines();
+let failed = 0;
+let passed = 0;
+
+function check(name, ok, detail) {
+    if (ok) {
+        passed++;
+        console.log(`✅ ${name}`);
+    } else {
+        failed++;
+        console.error(`❌ ${name}${detail ? `\n   ✗ ${detail}` : ''}`);
+    }
+}
+
+function medicine(brand) {
+    const med = medicines.find(m => m.brand === brand);
+    if (!med) throw new Error(`"${brand}" is not in the catalogue`);
+    return med;
+}
+
+// ─── Catalogue pairs ─────────────────────────────────────────────────────────
+// [medicine, alternative as listed (up to its note), expected status]
+const PAIRS = [
+    ['Meftal-P', 'Calpol', 'composition'],
+    ['Mala-D', 'Femilon', 'composition'],
+    ['Levolin', 'Asthalin', 'composition'],
+    ['Levolin', 'Duolin', 'composition'],
+    ['Duphalac', 'Cremaffin', 'composition'],
+    ['Revital', 'Zincovit', 'composition'],
+    ['Zinconia', 'Zincovit', 'composition'],
+    ['Telma 40', 'Telma H', 'composition'],
+    ['Crocin', 'Dolo 650', 'strength'],
+    ['Crocin', 'Calpol', 'exact']
+];
+
+PAIRS.forEach(([brand, name, expected]) => {
+    const med = medicine(brand);
+    const alt = med.alternatives.find(a => a.name.replace(/\s*\(.*?\)\s*$/, '') === name);
+    if (!alt) {
+        check(`${brand} → ${name}: ${expected}`, false, `${brand} does not list ${name}`);
+        return;
+    }
+    const result = classify(med, alt, medicines);
+    check(`${brand} → ${name}: ${expected}`, result.status === expected, `${result.status} (${result.reason})`);
+});
+
+// ─── Savings alternative ─────────────────────────────────────────────────────
+// Listed dearest first; the 20-tablet strip is dearer a pack but cheapest a tablet
+const example = {
+    brand: 'Example 500',
+    generic: 'Paracetamol 500mg',
+    category: 'fever-pain',
+    usage: '',
+    price: { min: 30, max: 40, pack: 'strip', units: 10, unit: 'tablet' },
+    alternatives: [
+        { name: 'Brand A 500', price: { min: 25, max: 30 } },
+        { name: 'Brand B 500', price: { min: 12, max: 15 } },
+        { name: 'Brand C 500', price: { min: 20, max: 24, pack: 'strip', units: 20, unit: 'tablet' } },
+        { name: 'Paracetamol (Generic)', price: { min: 8, max: 10 } },
+        { name: 'Brand D 650', price: { min: 5, max: 8 } }
+    ]
+};
+const pick = (med) => (savingsAlternative(med, medicines) || {}).name;
+
+check('savings use the cheapest exact substitute per tablet, not the first listed',
+    pick(example) === 'Brand C 500', pick(example));
+const unverified = { ...example, alternatives: example.alternatives.slice(3) };
+check('without an exact substitute the cheapest unverified one is used',
+    pick(unverified) === 'Paracetamol (Generic)', pick(unverified));
+const mismatched = { ...example, alternatives: example.alternatives.slice(4) };
+check('a different strength is never the savings alternative', pick(mismatched) === undefined, pick(mismatched));
+
+// ─── Course cost ─────────────────────────────────────────────────────────────
+// Costed as the calculator does (entryCost): two tablets a day, whole packs bought
+const courseCost = (med, alt, days) => scheduleCost(alt.price, med.price, { perDay: 2, packDays: 30 }, days).value;
+
+// Augmentin lists Clavam 625 (₹130 a strip) first; the generic is ₹70
+const augmentin = medicine('Augmentin');
+const first = augmentin.alternatives[0];
+const cheapest = savingsAlternative(augmentin, medicines);
+check('Augmentin: the savings alternative is not the first listed', cheapest && cheapest !== first, cheapest && cheapest.name);
+if (cheapest) {
+    check('Augmentin: a 10-day course costs ₹140 on the cheapest alternative, not ₹260 on the first',
+        courseCost(augmentin, cheapest, 10) === 140 && courseCost(augmentin, first, 10) === 260,
+        `${cheapest.name} ₹${courseCost(augmentin, cheapest, 10)}, ${first.name} ₹${courseCost(augmentin, first, 10)}`);
+}
+// Brand C's 20-tablet strip: 3 strips for a month, ₹60, where Brand A would be 6 packs, ₹150
+const exampleCheapest = savingsAlternative(example, medicines);
+check('Example 500: a month costs ₹60 on the 20-tablet strip',
+    courseCost(example, exampleCheapest, 30) === 60 && courseCost(example, example.alternatives[0], 30) === 150,
+    `${exampleCheapest.name} ₹${courseCost(example, exampleCheapest, 30)}`);
+
+if (failed > 0) {
+    console.error(`❌ ${failed} of ${passed + failed} checks failed`);
+    process.exit(1);
+}
+console.log(`📊 ${passed} checks passed`);
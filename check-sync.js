@@ -0,0 +1,162 @@
+/**
+ * check-sync.js
+ * Checks the encrypted backups and device sync (js/backup.js) end to end:
+ * starts a sync-server.js in a temporary directory and has two devices, each
+ * with its own in-memory store (js/store.js), back up, restore and sync
+ * through it, including two devices saving at the same moment.
+ * Run: node check-sync.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MedStore = require('./js/store');
+const MedBackup = require('./js/backup');
+const { createServer } = require('./sync-server');
+
+const PASSPHRASE = 'correct horse battery staple';
+let failed = 0;
+let passed = 0;
+
+function check(name, ok, detail) {
+    if (ok) {
+        passed++;
+        console.log(`✅ ${name}`);
+    } else {
+        failed++;
+        console.error(`❌ ${name}${detail ? `\n   ✗ ${detail}` : ''}`);
+    }
+}
+
+async function rejects(promise, pattern) {
+    try {
+        await promise;
+        return false;
+    } catch (e) {
+        return pattern.test(e.message);
+    }
+}
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+const sorted = (list) => list.slice().sort();
+const dose = (reminderId, date, status, at) => ({ key: `${reminderId}|${date}|08:00`, reminderId, medicine: 'Glycomet', date, time: '08:00', status, at });
+
+async function main() {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'generic-med-sync-'));
+    const server = createServer(dataDir);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const endpoint = `http://127.0.0.1:${server.address().port}`;
+    const vault = MedBackup.newVault();
+
+    try {
+        // ─── Backup files ────────────────────────────────────────────────────
+        const phone = MedStore.create('memory');
+        await phone.write('bookmarks', ['Dolo 650', 'Glycomet']);
+        await phone.write('familyCabinet', { Mom: [{ brand: 'Glycomet', dose: '1 tablet', frequency: 'BD', start: '2026-10-01', doctor: '' }] });
+        await phone.write('reminders', [{ id: 1, medicine: 'Glycomet', times: ['08:00', '20:00'], snoozed: [], created: 1, stock: null }]);
+        await phone.put('doses', dose(1, '2026-10-18', 'taken', 100));
+
+        const file = await MedBackup.backup(PASSPHRASE, phone);
+        const text = JSON.stringify(file);
+        check('backup file says what it is and hides its contents',
+            file.app === MedBackup.APP && file.type === 'backup' && file.kdf.iterations === MedBackup.KDF_ITERATIONS && !/Dolo|Glycomet|Mom/.test(text));
+        check('wrong passphrase is refused', await rejects(MedBackup.decrypt(file, 'not it'), /Wrong passphrase/));
+        check('other files are refused', await rejects(MedBackup.decrypt({ app: 'generic-med.org', type: 'family-cabinet' }, PASSPHRASE), /not a generic-med.org backup/));
+        const tampered = { ...file, data: file.data.slice(0, -8) + 'AAAAAAA=' };
+        check('damaged file is refused', await rejects(MedBackup.decrypt(tampered, PASSPHRASE), /damaged/));
+        const weakened = { ...file, kdf: { ...file.kdf, iterations: 1 } };
+        check('file asking for fewer key iterations is refused', await rejects(MedBackup.decrypt(weakened, PASSPHRASE), /weaker encryption/));
+
+        const laptop = MedStore.create('memory');
+        await MedBackup.restoreBackup(JSON.parse(text), PASSPHRASE, laptop);
+        check('restored backup matches the original', same(await laptop.snapshot(), await phone.snapshot()));
+        check('newer schema is refused', await rejects(laptop.restore({ schema: MedStore.DB_VERSION + 1, collections: {} }), /newer version/));
+
+        // ─── Sync ────────────────────────────────────────────────────────────
+        const options = { endpoint, vault, passphrase: PASSPHRASE };
+        const first = await MedBackup.sync(options, phone);
+        check('first sync creates the vault', first.revision === 1 && first.changed.length === 0, JSON.stringify(first));
+
+        const tablet = MedStore.create('memory');
+        await tablet.write('feedback', { 'Dolo 650': { up: 1, down: 0, voted: 'up' } });
+        await tablet.put('doses', dose(1, '2026-10-19', 'skipped', 200));
+        const second = await MedBackup.sync(options, tablet);
+        check('a second device gets the first one\'s data',
+            same(await tablet.read('bookmarks'), ['Dolo 650', 'Glycomet']) && (await tablet.read('reminders')).length === 1,
+            JSON.stringify(second));
+        check('dose logs from both devices are kept', same(sorted((await tablet.read('doses')).map(d => d.date)), ['2026-10-18', '2026-10-19']));
+
+        await MedBackup.sync(options, phone);
+        check('the first device gets the second one\'s data', same(await phone.read('feedback'), await tablet.read('feedback')));
+
+        // The later change to a collection wins
+        await new Promise(resolve => setTimeout(resolve, 5));
+        await phone.write('bookmarks', ['Dolo 650']);
+        await MedBackup.sync(options, phone);
+        await MedBackup.sync(options, tablet);
+        check('a later change replaces an earlier one', same(await tablet.read('bookmarks'), ['Dolo 650']));
+
+        // Saved medicines and cabinets changed on both devices between syncs keep both changes
+        const mom = (cabinet) => Object.fromEntries(cabinet.Mom.map(entry => [entry.brand, entry.dose]));
+        await phone.write('bookmarks', ['Dolo 650', 'Telma']);
+        await phone.write('familyCabinet', { Mom: [{ ...(await phone.read('familyCabinet')).Mom[0], dose: '2 tablets' }] });
+        await new Promise(resolve => setTimeout(resolve, 5));
+        await tablet.write('bookmarks', ['Dolo 650', 'Pan 40']);
+        await tablet.write('familyCabinet', { Mom: [...(await tablet.read('familyCabinet')).Mom, { brand: 'Telma', dose: '1 tablet', frequency: 'OD', start: '', doctor: '' }] });
+        await MedBackup.sync(options, phone);
+        await MedBackup.sync(options, tablet);
+        await MedBackup.sync(options, phone);
+        check('saved medicines added on either device are kept',
+            same(sorted(await phone.read('bookmarks')), ['Dolo 650', 'Pan 40', 'Telma']) && same(await phone.read('bookmarks'), await tablet.read('bookmarks')),
+            JSON.stringify(await phone.read('bookmarks')));
+        check('cabinet entries changed on either device are kept',
+            same(mom(await phone.read('familyCabinet')), { Glycomet: '2 tablets', Telma: '1 tablet' }) && same(await phone.read('familyCabinet'), await tablet.read('familyCabinet')),
+            JSON.stringify(await phone.read('familyCabinet')));
+
+        // ─── Conflicts ───────────────────────────────────────────────────────
+        const stale = await fetch(`${endpoint}/v1/vaults/${vault}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ baseRevision: 1, blob: file })
+        });
+        const current = await stale.json();
+        check('server refuses a save based on an old revision', stale.status === 409 && current.revision > 1, `HTTP ${stale.status}`);
+
+        // The tablet saves while the phone is between fetching and saving
+        await tablet.write('familyCabinet', { Dad: [] });
+        let raced = false;
+        const racingFetch = async (url, init) => {
+            if (init && init.method === 'PUT' && !raced) {
+                raced = true;
+                await MedBackup.sync(options, tablet);
+            }
+            return fetch(url, init);
+        };
+        await phone.put('doses', dose(1, '2026-10-20', 'taken', 300));
+        const retried = await MedBackup.sync({ ...options, fetch: racingFetch }, phone);
+        await MedBackup.sync(options, tablet);
+        check('a save that loses the race is merged and retried',
+            raced && same(Object.keys(await phone.read('familyCabinet')), ['Dad']) && (await tablet.read('doses')).length === 3,
+            JSON.stringify(retried));
+
+        const wrong = await rejects(MedBackup.sync({ ...options, passphrase: 'not it' }, MedStore.create('memory')), /Wrong passphrase/);
+        check('syncing with the wrong passphrase is refused', wrong);
+        check('bad sync codes are refused', await rejects(MedBackup.sync({ ...options, vault: '../etc' }, tablet), /sync code/));
+        const badId = await fetch(`${endpoint}/v1/vaults/short`);
+        check('server refuses bad sync codes', badId.status === 400);
+    } finally {
+        server.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+
+    if (failed > 0) {
+        console.error(`❌ ${failed} of ${passed + failed} checks failed`);
+        process.exit(1);
+    }
+    console.log(`📊 ${passed} checks passed`);
+}
+
+main().catch(e => {
+    console.error('❌', e);
+    process.exit(1);
+});
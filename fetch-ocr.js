@@ -0,0 +1,78 @@
+/**
+ * fetch-ocr.js
+ * Downloads the OCR engine the prescription scanner runs on (Tesseract.js, its
+ * WebAssembly core and the English and Hindi trained data) into vendor/tesseract/,
+ * so the site serves it itself and sw.js can keep it for offline scanning.
+ * The files are committed there; run this after changing the versions or
+ * download sources pinned in js/ocr.js, and commit what it downloads. Files
+ * already there are kept unless --force is given.
+ * Run: node fetch-ocr.js [--force]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const https = require('https');
+const { DIR, FILES } = require('./js/ocr');
+
+const force = process.argv.includes('--force');
+const outDir = path.join(__dirname, DIR);
+
+// ─── Download ────────────────────────────────────────────────────────────────
+function download(url, dest, redirects = 5) {
+    return new Promise((resolve, reject) => {
+        https.get(url, (res) => {
+            if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location && redirects > 0) {
+                res.resume();
+                resolve(download(new URL(res.headers.location, url).href, dest, redirects - 1));
+                return;
+            }
+            if (res.statusCode !== 200) {
+                res.resume();
+                reject(new Error(`HTTP ${res.statusCode}`));
+                return;
+            }
+            // Written next to the file and renamed, so a broken download never looks finished
+            const partial = dest + '.part';
+            const out = fs.createWriteStream(partial);
+            res.pipe(out);
+            out.on('finish', () => out.close(() => {
+                fs.renameSync(partial, dest);
+                resolve(fs.statSync(dest).size);
+            }));
+            out.on('error', reject);
+            res.on('error', reject);
+        }).on('error', reject);
+    });
+}
+
+const sizeText = (bytes) => bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.round(bytes / 1024)} KB`;
+
+async function main() {
+    let total = 0, failed = 0;
+    for (const file of FILES) {
+        const dest = path.join(outDir, file.path);
+        const rel = path.relative(__dirname, dest);
+        if (!force && fs.existsSync(dest)) {
+            total += fs.statSync(dest).size;
+            console.log(`   ${rel} (already there)`);
+            continue;
+        }
+        fs.mkdirSync(path.dirname(dest), { recursive: true });
+        try {
+            const size = await download(file.source, dest);
+            total += size;
+            console.log(`✅ ${rel} (${sizeText(size)})`);
+        } catch (e) {
+            failed++;
+            console.error(`❌ ${rel}: ${e.message} (${file.source})`);
+        }
+    }
+
+    console.log(`\n📊 ${FILES.length - failed} of ${FILES.length} files in ${path.relative(process.cwd(), outDir) || '.'}, ${sizeText(total)}`);
+    if (failed > 0) {
+        console.error('❌ Some files could not be downloaded; the scanner will not work until they are there.');
+        process.exit(1);
+    }
+}
+
+main();
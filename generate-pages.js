@@ -1,303 +1,357 @@
 /**
  * generate-pages.js
- * Reads medicines from index.html, creates individual medicine pages,
+ * Reads medicines from data/medicines.json, creates individual medicine pages,
+ * a page per generic composition shared by several brands (generics/<salt>.html)
  * and updates sitemap.xml
+ * Only pages whose content changed are rewritten. data/build-manifest.json keeps
+ * a hash of each medicine's data and the date it last changed, which becomes
+ * the page's <lastmod> in sitemap.xml. Pages of removed brands are deleted.
+ * Page URLs come from the slug registry (data/slugs.json, see tools/slugs.js);
+ * when a brand is renamed its old URL becomes a redirect to the new one.
+ * Page markup lives in templates/ (see tools/template.js for the syntax).
+ * Each alternative is badged as an exact substitute or a different composition,
+ * strength or formulation (js/substitution.js); only substitutes count towards
+ * the "save up to" headline, and pages without savings make no such claim.
+ * Also writes data/search-index.json, the prebuilt index for the search box (js/search.js).
+ * Every page is written once per language of js/i18n.js, with its text from
+ * locales/<lang>.json: English at medicines/ and generics/, the others under
+ * <lang>/ (hi/medicines/crocin.html). Each copy links the others with hreflang.
  * Run: node generate-pages.js
  */
 
 const fs = require('fs');
 const path = require('path');
-
-// ─── Read index.html ─────────────────────────────────────────────────────────
-const html = fs.readFileSync('index.html', 'utf8');
-
-// Extract the medicines array from the JS source
-const startMarker = '// ===== Medicine Database =====';
-const startIdx = html.indexOf(startMarker);
-if (startIdx === -1) { console.error('Could not find medicine database in index.html'); process.exit(1); }
-
-// Find "const medicines = [" after the marker
-const arrayStart = html.indexOf('const medicines = [', startIdx);
-// Find the closing "];" by counting brackets
-let depth = 0, i = html.indexOf('[', arrayStart);
-const jsonStart = i;
-for (; i < html.length; i++) {
-    if (html[i] === '[') depth++;
-    else if (html[i] === ']') { depth--; if (depth === 0) break; }
-}
-const jsonEnd = i + 1;
-
-// Convert JS object literal to valid JSON
-let jsArray = html.slice(jsonStart, jsonEnd);
-
-// Remove JS comments
-jsArray = jsArray.replace(/\/\/.*$/gm, '');
-// Remove trailing commas before ] or }
-jsArray = jsArray.replace(/,(\s*[\]}])/g, '$1');
-// Wrap keys in quotes (JS object keys → JSON)
-jsArray = jsArray.replace(/([{,]\s*)([a-zA-Z_][a-zA-Z0-9_]*)(\s*:)/g, '$1"$2"$3');
-
-let medicines;
-try {
-    medicines = JSON.parse(jsArray);
-} catch(e) {
-    console.error('JSON parse error:', e.message);
+const crypto = require('crypto');
+
+const { loadMedicines, validateMedicines } = require('./tools/medicine-db');
+const { formatPrice, formatAltPrice, formatUnitCost, unitCost, savings } = require('./js/price');
+const { loadTemplates } = require('./tools/template');
+const { groupBySalt, saltOf } = require('./tools/salts');
+const { compositionOf } = require('./js/composition');
+const { classifyAll, isMismatch, savingsAlternative } = require('./js/substitution');
+const { buildIndex } = require('./js/search');
+const { loadRegistry, saveRegistry, stringifyRegistry, resolveSlugs, SLUGS_FILE } = require('./tools/slugs');
+const { LANGUAGES, DEFAULT_LANGUAGE } = require('./js/i18n');
+const { loadTranslators } = require('./tools/locales');
+
+// ─── Read data/medicines.json ────────────────────────────────────────────────
+const medicines = loadMedicines();
+
+const errors = validateMedicines(medicines);
+if (errors.length > 0) {
+    errors.forEach(err => console.error(`   ✗ ${err}`));
+    console.error(`❌ data/medicines.json is invalid (${errors.length} problem${errors.length !== 1 ? 's' : ''}). Run: node validate-medicines.js`);
     process.exit(1);
 }
 
 console.log(`✅ Found ${medicines.length} medicines`);
 
-// ─── Create medicines/ directory ─────────────────────────────────────────────
-const outDir = path.join(__dirname, 'medicines');
-if (!fs.existsSync(outDir)) fs.mkdirSync(outDir);
+// ─── Create medicines/ and generics/ directories ─────────────────────────────
+// English pages live at the site root, the other languages under <lang>/
+function pageDir(lang, folder) {
+    return lang === DEFAULT_LANGUAGE ? folder : `${lang}/${folder}`;
+}
+
+LANGUAGES.forEach(({ code }) => ['medicines', 'generics'].forEach(folder => {
+    fs.mkdirSync(path.join(__dirname, pageDir(code, folder)), { recursive: true });
+}));
+
+const render = loadTemplates();
+const translators = loadTranslators();
+
+// ─── Resolve page slugs ──────────────────────────────────────────────────────
+const oldRegistry = loadRegistry();
+const { slugs, registry, changes: slugChanges } = resolveSlugs(medicines, oldRegistry);
+if (!fs.existsSync(SLUGS_FILE) || stringifyRegistry(registry) !== stringifyRegistry(oldRegistry)) {
+    saveRegistry(registry);
+}
+slugChanges.forEach(c => console.log(c.from
+    ? `🔀 ${c.from}.html → ${c.to}.html (old URL now redirects)`
+    : `🆕 ${c.id}: new page ${c.to}.html`));
 
 // ─── Helpers ─────────────────────────────────────────────────────────────────
-function slug(name) {
-    return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+// A message naming something by its id, or the id itself when there is none
+function named(t, key, fallback, params) {
+    const name = t(key, params);
+    return name === key ? fallback : name;
 }
 
-function categoryName(cat) {
-    const map = {
-        'fever-pain': 'Fever & Pain', 'antibiotics': 'Antibiotics',
-        'diabetes': 'Diabetes', 'bp': 'Blood Pressure', 'acidity': 'Acidity',
-        'cold-cough': 'Cold & Cough', 'mental-health': 'Mental Health',
-        'skin': 'Skin Care', 'eye-ear': 'Eye & Ear',
-        'womens-health': "Women's Health", 'heart': 'Heart',
-        'thyroid': 'Thyroid', 'vitamins': 'Vitamins & Supplements',
-        'cholesterol': 'Cholesterol', 'asthma': 'Asthma & Respiratory',
-        'kidney': 'Kidney', 'liver': 'Liver', 'allergy': 'Allergy',
-        'pain': 'Pain Relief', 'neuro': 'Neurology', 'others': 'Others'
+const categoryName = (cat, t) => named(t, 'category.' + cat, cat);
+// "tablet"; units without a message (ml, g...) stay as they are
+const unitName = (unit, t) => named(t, 'unit.' + unit, unit, { count: 1 });
+
+// How many medicines the pages quote ("640+"), rounded down like index.html does
+const medicineTotal = Math.floor(medicines.length / 10) * 10;
+
+function siteUrl(lang, file) {
+    return `https://generic-med.org/${lang === DEFAULT_LANGUAGE ? '' : lang + '/'}${file}`;
+}
+
+// The search page opens in the language it is linked from
+function homeUrl(lang) {
+    return lang === DEFAULT_LANGUAGE ? 'https://generic-med.org/' : `https://generic-med.org/?lang=${lang}`;
+}
+
+// What every copy of the page at `file` ("medicines/crocin.html") shares: its
+// URL, the hreflang links to the other languages and the language switcher
+function pageFrame(lang, file) {
+    return {
+        lang,
+        home: homeUrl(lang),
+        canonical: siteUrl(lang, file),
+        alternates: LANGUAGES.map(({ code }) => ({ hreflang: code, url: siteUrl(code, file) }))
+            .concat([{ hreflang: 'x-default', url: siteUrl(DEFAULT_LANGUAGE, file) }]),
+        languages: LANGUAGES.map(({ code, name }) => ({ code, name, url: siteUrl(code, file), current: code === lang })),
+        total: medicineTotal
     };
-    return map[cat] || cat;
 }
 
-function safeEncode(str) {
-    return encodeURIComponent(str || '');
+function hash(text) {
+    return crypto.createHash('sha256').update(text).digest('hex').slice(0, 16);
+}
+
+// Writes a file only when its content differs; returns true if it was written
+function writeIfChanged(file, content) {
+    if (fs.existsSync(file) && fs.readFileSync(file, 'utf8') === content) return false;
+    fs.writeFileSync(file, content, 'utf8');
+    return true;
+}
+
+// ─── Build manifest ──────────────────────────────────────────────────────────
+// { medicines: { "<slug>": { data: <hash of the page's data>, lastmod: "YYYY-MM-DD" } }, generics: { ... } }
+const MANIFEST_FILE = path.join(__dirname, 'data', 'build-manifest.json');
+const SITEMAP_FILE = path.join(__dirname, 'sitemap.xml');
+const today = new Date().toISOString().split('T')[0];
+
+const oldManifest = fs.existsSync(MANIFEST_FILE)
+    ? JSON.parse(fs.readFileSync(MANIFEST_FILE, 'utf8'))
+    : {};
+const manifest = { medicines: {}, generics: {} };
+// What happened to the pages of each directory ("medicines", "hi/generics"...)
+const summary = {};
+const counts = (dir) => summary[dir] || (summary[dir] = { created: [], updated: [], deleted: [], redirected: [], unchanged: 0 });
+
+const oldSitemap = fs.existsSync(SITEMAP_FILE) ? fs.readFileSync(SITEMAP_FILE, 'utf8') : '';
+const sitemapBlocks = oldSitemap.match(/ {4}<url>[\s\S]*?<\/url>/g) || [];
+
+// Pages with no manifest entry yet keep the date sitemap.xml already gives them
+const sitemapDates = {};
+sitemapBlocks.forEach(block => {
+    const m = block.match(/<loc>https:\/\/generic-med\.org\/((?:medicines|generics)\/[^<]+)\.html<\/loc>\s*<lastmod>([^<]+)<\/lastmod>/);
+    if (m) sitemapDates[m[1]] = m[2];
+});
+
+// The id never appears on a page, so it does not count as a data change
+function pageData(med) {
+    const { id, ...content } = med;
+    return content;
+}
+
+// `folder` is "medicines" or "generics"; `data` is what the page shows, hashed for <lastmod>.
+// The English copy is written first and keeps the manifest; the other languages share its date.
+function writePage(lang, folder, pageSlug, data, html) {
+    const dir = pageDir(lang, folder);
+    const file = path.join(__dirname, dir, `${pageSlug}.html`);
+    const current = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+
+    if (lang === DEFAULT_LANGUAGE) {
+        const dataHash = hash(JSON.stringify(data));
+        const previous = (oldManifest[folder] || {})[pageSlug];
+        let lastmod;
+        if (previous) lastmod = previous.data === dataHash ? previous.lastmod : today;
+        else lastmod = (current === html && sitemapDates[`${folder}/${pageSlug}`]) || today;
+        manifest[folder][pageSlug] = { data: dataHash, lastmod };
+    }
+
+    const dirCounts = counts(dir);
+    if (current === null) {
+        dirCounts.created.push(pageSlug);
+    } else if (current !== html) {
+        dirCounts.updated.push(pageSlug);
+    } else {
+        dirCounts.unchanged++;
+        return;
+    }
+    fs.writeFileSync(file, html, 'utf8');
 }
 
+// ─── Group brands by salt ────────────────────────────────────────────────────
+const salts = groupBySalt(medicines);
+const saltByKey = new Map(salts.map(salt => [salt.key, salt]));
+const saltFile = (salt) => `generics/${salt.slug}.html`;
+
 // ─── Generate one page per medicine ──────────────────────────────────────────
 const generatedSlugs = [];
-const slugCount = {};
 
-medicines.forEach((med, idx) => {
-    const baseSlug = slug(med.brand);
-    slugCount[baseSlug] = (slugCount[baseSlug] || 0) + 1;
-    const medSlug = slugCount[baseSlug] > 1 ? `${baseSlug}-${slugCount[baseSlug]}` : baseSlug;
+medicines.forEach(med => {
+    const medSlug = slugs[med.id];
     generatedSlugs.push(medSlug);
 
-    const genericFirstWord = (med.generic || '').split(' ')[0];
-    const searchQuery = safeEncode(med.brand + ' ' + genericFirstWord);
-    const brandEncoded = safeEncode(med.brand);
-
-    // Cheapest alternative for savings calc
-    const cheapestAlt = med.alternatives && med.alternatives[0];
-    const brandPrice = med.priceRange ? parseInt((med.priceRange.match(/₹(\d+)/) || [])[1] || 0) : 0;
-    const altPrice = cheapestAlt && cheapestAlt.price ? parseInt((cheapestAlt.price.match(/₹(\d+)/) || [])[1] || 0) : 0;
-    const savingsPct = (brandPrice > 0 && altPrice > 0 && brandPrice > altPrice)
-        ? Math.round(((brandPrice - altPrice) / brandPrice) * 100) : 0;
-
-    const altRows = (med.alternatives || []).map(alt => `
-            <tr>
-                <td>${alt.name}</td>
-                <td style="color:#27ae60;font-weight:bold;">${alt.price}</td>
-                <td><a href="https://www.1mg.com/search/all?name=${safeEncode(alt.name.replace(/\s*\(.*?\)\s*$/, ''))}" target="_blank" rel="noopener" style="color:#667eea;">Buy on 1mg ↗</a></td>
-            </tr>`).join('');
-
-    const schemaAlternatives = (med.alternatives || []).map(alt => ({
-        "@type": "Product",
-        "name": alt.name,
-        "offers": { "@type": "Offer", "priceCurrency": "INR", "price": (alt.price.match(/\d+/) || ['0'])[0] }
-    }));
-
-    const pageHTML = `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${med.brand} Generic Alternative | Save up to ${savingsPct || 70}% | Generic Medicine Finder</title>
-    <meta name="description" content="${med.brand} (${med.generic}) costs ${med.priceRange}. Find cheaper generic alternatives${cheapestAlt ? ' like ' + cheapestAlt.name + ' at just ' + cheapestAlt.price : ''}. Save up to ${savingsPct || 70}% on ${med.brand}.">
-    <meta name="keywords" content="${med.brand} generic alternative, ${med.brand} cheaper substitute, ${med.generic} price India, ${med.brand} price, generic ${med.generic}, affordable ${med.brand}">
-    <link rel="canonical" href="https://generic-med.org/medicines/${medSlug}.html">
-    <meta name="robots" content="index, follow">
-
-    <!-- Open Graph -->
-    <meta property="og:type" content="article">
-    <meta property="og:url" content="https://generic-med.org/medicines/${medSlug}.html">
-    <meta property="og:title" content="${med.brand} Generic Alternative - Save up to ${savingsPct || 70}%">
-    <meta property="og:description" content="Find cheaper alternatives for ${med.brand} (${med.generic}). Compare prices and save money.">
-    <meta property="og:image" content="https://generic-med.org/og-image.png">
-
-    <!-- Schema.org -->
-    <script type="application/ld+json">
-    {
-        "@context": "https://schema.org",
-        "@type": "MedicalWebPage",
-        "name": "${med.brand} Generic Alternative",
-        "url": "https://generic-med.org/medicines/${medSlug}.html",
-        "description": "${med.brand} (${med.generic}) - ${med.usage}. Find cheaper generic alternatives in India.",
-        "mainEntity": {
-            "@type": "Drug",
-            "name": "${med.brand}",
-            "alternateName": "${med.generic}",
-            "description": "${med.usage}",
-            "relevantSpecialty": "${categoryName(med.category)}"
-        },
-        "breadcrumb": {
-            "@type": "BreadcrumbList",
-            "itemListElement": [
-                {"@type": "ListItem", "position": 1, "name": "Home", "item": "https://generic-med.org/"},
-                {"@type": "ListItem", "position": 2, "name": "${categoryName(med.category)}", "item": "https://generic-med.org/#${med.category}"},
-                {"@type": "ListItem", "position": 3, "name": "${med.brand}", "item": "https://generic-med.org/medicines/${medSlug}.html"}
-            ]
-        }
-    }
-    </script>
-
-    <style>
-        * { margin: 0; padding: 0; box-sizing: border-box; }
-        body { font-family: 'Segoe UI', sans-serif; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); min-height: 100vh; padding: 20px; }
-        .container { max-width: 800px; margin: 0 auto; }
-        .back-link { color: white; text-decoration: none; font-size: 14px; display: inline-block; margin-bottom: 15px; opacity: 0.9; }
-        .back-link:hover { opacity: 1; text-decoration: underline; }
-        .card { background: white; border-radius: 16px; padding: 30px; box-shadow: 0 10px 40px rgba(0,0,0,0.2); margin-bottom: 20px; }
-        h1 { color: #333; font-size: 2em; margin-bottom: 8px; }
-        .generic-badge { background: #f0f4ff; color: #667eea; padding: 6px 14px; border-radius: 20px; display: inline-block; font-weight: 600; margin-bottom: 16px; }
-        .category-badge { background: #764ba2; color: white; padding: 4px 12px; border-radius: 20px; font-size: 12px; display: inline-block; margin-left: 8px; }
-        .usage { color: #555; line-height: 1.7; margin-bottom: 20px; font-size: 15px; }
-        .price-box { background: #fff3cd; border: 2px solid #ffc107; border-radius: 10px; padding: 16px; margin-bottom: 20px; }
-        .price-label { font-size: 13px; color: #856404; font-weight: 600; margin-bottom: 4px; }
-        .price-value { font-size: 1.5em; font-weight: bold; color: #333; }
-        .savings-badge { background: #d4edda; border: 2px solid #28a745; border-radius: 10px; padding: 14px; margin-bottom: 20px; color: #155724; }
-        h2 { color: #333; margin-bottom: 16px; font-size: 1.3em; }
-        table { width: 100%; border-collapse: collapse; margin-bottom: 20px; }
-        th { background: #667eea; color: white; padding: 12px; text-align: left; }
-        td { padding: 12px; border-bottom: 1px solid #eee; }
-        tr:hover td { background: #f8f9ff; }
-        .pharmacy-grid { display: grid; grid-template-columns: repeat(3, 1fr); gap: 10px; margin-top: 10px; }
-        .ph-btn { padding: 12px; border-radius: 8px; text-align: center; text-decoration: none; color: white; font-weight: 600; font-size: 13px; display: block; transition: opacity 0.2s; }
-        .ph-btn:hover { opacity: 0.85; }
-        .faq-item { margin-bottom: 20px; }
-        .faq-q { font-weight: bold; color: #333; margin-bottom: 6px; }
-        .faq-a { color: #555; line-height: 1.6; }
-        footer-note { display: block; color: rgba(255,255,255,0.85); font-size: 12px; margin-top: 20px; border-top: 1px solid rgba(255,255,255,0.3); padding-top: 16px; }
-        @media (max-width: 600px) { h1 { font-size: 1.5em; } .pharmacy-grid { grid-template-columns: repeat(2, 1fr); } }
-    </style>
-
-    <!-- Google Analytics -->
-    <script async src="https://www.googletagmanager.com/gtag/js?id=G-LJCB050JVS"></script>
-    <script>
-        window.dataLayer = window.dataLayer || [];
-        function gtag(){dataLayer.push(arguments);}
-        gtag('js', new Date());
-        gtag('config', 'G-LJCB050JVS');
-    </script>
-
-    <!-- Microsoft Clarity -->
-    <script type="text/javascript">
-        (function(c,l,a,r,i,t,y){
-            c[a]=c[a]||function(){(c[a].q=c[a].q||[]).push(arguments)};
-            t=l.createElement(r);t.async=1;t.src="https://www.clarity.ms/tag/"+i;
-            y=l.getElementsByTagName(r)[0];y.parentNode.insertBefore(t,y);
-        })(window, document, "clarity", "script", "vh2mybby3f");
-    </script>
-</head>
-<body>
-<div class="container">
-    <a href="https://generic-med.org/" class="back-link">← Back to Generic Medicine Finder</a>
-
-    <div class="card">
-        <div class="category-badge">${categoryName(med.category)}</div>
-        <h1>💊 ${med.brand}</h1>
-        <div class="generic-badge">Generic: ${med.generic}</div>
-        <p class="usage">${med.usage}</p>
-
-        <div class="price-box">
-            <div class="price-label">💰 Branded Price (${med.brand})</div>
-            <div class="price-value">${med.priceRange}</div>
-        </div>
-
-        ${savingsPct > 0 ? `
-        <div class="savings-badge">
-            🎉 <strong>You can save up to ${savingsPct}%</strong> by switching to a generic alternative!
-            ${cheapestAlt ? `Cheapest option: <strong>${cheapestAlt.name}</strong> at <strong>${cheapestAlt.price}</strong>` : ''}
-        </div>` : ''}
-    </div>
-
-    <div class="card">
-        <h2>✅ Cheaper Generic Alternatives for ${med.brand}</h2>
-        <table>
-            <thead><tr><th>Medicine Name</th><th>Price</th><th>Buy Online</th></tr></thead>
-            <tbody>${altRows}</tbody>
-        </table>
-        <p style="font-size:12px;color:#888;">⚠️ Prices are approximate. Always consult your doctor before switching medicines.</p>
-    </div>
-
-    <div class="card">
-        <h2>🏪 Buy ${med.brand} Online</h2>
-        <p style="color:#666;font-size:14px;margin-bottom:12px;">Compare prices across all major Indian pharmacies:</p>
-        <div class="pharmacy-grid">
-            <a href="https://www.1mg.com/search/all?name=${brandEncoded}" target="_blank" rel="noopener" class="ph-btn" style="background:#ee4036;">1mg</a>
-            <a href="https://www.apollopharmacy.in/search-medicines?search_query=${brandEncoded}" target="_blank" rel="noopener" class="ph-btn" style="background:#0072bb;">Apollo</a>
-            <a href="https://pharmeasy.in/search/all?name=${brandEncoded}" target="_blank" rel="noopener" class="ph-btn" style="background:#5f27cd;">PharmEasy</a>
-            <a href="https://www.netmeds.com/catalogsearch/result?q=${brandEncoded}" target="_blank" rel="noopener" class="ph-btn" style="background:#24AEB1;">Netmeds</a>
-            <a href="https://www.medplusmart.com/searchProduct?searchKey=${brandEncoded}" target="_blank" rel="noopener" class="ph-btn" style="background:#E53E3E;">MedPlus</a>
-            <a href="https://www.truemeds.in/search?search=${brandEncoded}" target="_blank" rel="noopener" class="ph-btn" style="background:#00B4D8;">Truemeds</a>
-        </div>
-    </div>
-
-    <div class="card">
-        <h2>❓ Frequently Asked Questions</h2>
-        <div class="faq-item">
-            <div class="faq-q">What is the generic name of ${med.brand}?</div>
-            <div class="faq-a">The generic name of ${med.brand} is <strong>${med.generic}</strong>. Generic medicines contain the same active ingredient and work exactly the same way as branded medicines.</div>
-        </div>
-        <div class="faq-item">
-            <div class="faq-q">Is ${med.brand} generic alternative safe?</div>
-            <div class="faq-a">Yes. Generic medicines are approved by the Central Drugs Standard Control Organisation (CDSCO) and contain the same active ingredient (${med.generic}) in the same dosage. Always consult your doctor before switching.</div>
-        </div>
-        ${cheapestAlt ? `
-        <div class="faq-item">
-            <div class="faq-q">What is the cheapest alternative to ${med.brand}?</div>
-            <div class="faq-a"><strong>${cheapestAlt.name}</strong> is one of the cheapest alternatives at <strong>${cheapestAlt.price}</strong>, compared to ${med.brand} at ${med.priceRange}.</div>
-        </div>` : ''}
-        <div class="faq-item">
-            <div class="faq-q">What is ${med.brand} used for?</div>
-            <div class="faq-a">${med.usage}</div>
-        </div>
-    </div>
-
-    <div class="card" style="text-align:center;">
-        <p style="color:#666;margin-bottom:12px;">🔍 Search 300+ more medicines for generic alternatives</p>
-        <a href="https://generic-med.org/" style="background: linear-gradient(135deg, #667eea, #764ba2); color: white; padding: 14px 30px; border-radius: 8px; text-decoration: none; font-weight: bold; font-size: 16px; display: inline-block;">Find More Generic Medicines →</a>
-    </div>
-
-    <footer-note>
-        ⚠️ <strong>Disclaimer:</strong> This information is for educational purposes only. Always consult your doctor or pharmacist before switching or stopping any medicine. Prices are approximate and may vary.
-        <br><br>
-        <a href="https://generic-med.org/" style="color:white;text-decoration:underline;">Generic Medicine Finder</a> — Helping Indians save money on healthcare.
-    </footer-note>
-</div>
-</body>
-</html>`;
-
-    fs.writeFileSync(path.join(outDir, `${medSlug}.html`), pageHTML, 'utf8');
+    // Cheapest alternative that can be swapped in, for the savings calc (compared per
+    // tablet / ml where the pack size is known); pages without savings claim none
+    const substitutes = classifyAll(med, medicines);
+    const cheapestAlt = savingsAlternative(med, medicines);
+    const priceText = formatPrice(med.price);
+    const savingsPct = cheapestAlt ? Math.max(savings(med, cheapestAlt).percent, 0) : 0;
+    const salt = saltByKey.get(saltOf(med.generic).key);
+    // Badges depend on other catalogue entries too, so they count as page data
+    const data = { ...pageData(med), substitutes: substitutes.map(sub => sub.status) };
+
+    LANGUAGES.forEach(({ code }) => {
+        const t = translators[code];
+        const params = {
+            brand: med.brand,
+            generic: med.generic,
+            price: priceText,
+            percent: savingsPct,
+            alternative: cheapestAlt && cheapestAlt.name,
+            alternativePrice: cheapestAlt && formatAltPrice(cheapestAlt.price)
+        };
+        const pageHTML = render('medicine', {
+            ...pageFrame(code, `medicines/${medSlug}.html`),
+            title: `${t(savingsPct ? 'medicinePage.title' : 'medicinePage.name', params)} | ${t('page.title')}`,
+            description: t(savingsPct ? 'medicinePage.descriptionCheapest' : 'medicinePage.description', params),
+            backLabel: t('pages.back'),
+            brand: med.brand,
+            generic: med.generic,
+            usage: med.usage,
+            category: med.category,
+            categoryName: categoryName(med.category, t),
+            saltPage: salt && { name: salt.name, url: siteUrl(code, saltFile(salt)), count: salt.medicines.length },
+            priceText,
+            brandUnitCost: formatUnitCost(unitCost(med.price)),
+            savingsPct,
+            cheapestAlt: cheapestAlt && { name: cheapestAlt.name, price: formatAltPrice(cheapestAlt.price) },
+            alternatives: (med.alternatives || []).map((alt, i) => ({
+                name: alt.name,
+                price: formatAltPrice(alt.price),
+                unitCost: formatUnitCost(unitCost(alt.price, med.price)),
+                searchName: alt.name.replace(/\s*\(.*?\)\s*$/, ''),
+                match: { ...substitutes[i], label: named(t, 'substitute.' + substitutes[i].status, substitutes[i].label) },
+                mismatch: isMismatch(substitutes[i].status)
+            })),
+            hasMismatch: substitutes.some(sub => isMismatch(sub.status))
+        }, t);
+        writePage(code, 'medicines', medSlug, data, pageHTML);
+    });
 });
 
-console.log(`✅ Generated ${generatedSlugs.length} individual medicine pages in /medicines/`);
+console.log(`✅ Checked ${generatedSlugs.length} individual medicine pages in /medicines/`);
+
+// ─── Generate one page per salt ──────────────────────────────────────────────
+// Brands are compared per unit; tablets and ml are not comparable, so each unit
+// forms its own group (largest first) and brands without a pack size come last.
+function saltRows(salt, lang) {
+    const t = translators[lang];
+    const rows = salt.medicines.map(med => {
+        const cost = unitCost(med.price);
+        const strengths = compositionOf(med).filter(c => c.strength !== null)
+            .map(c => `${c.strength}${c.unit === 'IU' ? ' IU' : c.unit}`);
+        return {
+            brand: med.brand,
+            url: siteUrl(lang, `medicines/${slugs[med.id]}.html`),
+            generic: med.generic,
+            strength: strengths.join(' + '),
+            priceText: formatPrice(med.price),
+            unitCostText: formatUnitCost(cost),
+            cost,
+            packMin: med.price.min
+        };
+    });
+    const unitCounts = {};
+    rows.forEach(r => { if (r.cost) unitCounts[r.cost.unit] = (unitCounts[r.cost.unit] || 0) + 1; });
+    rows.sort((a, b) => {
+        if (!a.cost || !b.cost) return a.cost ? -1 : b.cost ? 1 : a.packMin - b.packMin;
+        return unitCounts[b.cost.unit] - unitCounts[a.cost.unit] ||
+            a.cost.unit.localeCompare(b.cost.unit) || a.cost.value - b.cost.value;
+    });
+
+    const seenUnits = new Set();
+    rows.forEach((r, i) => {
+        r.cheapest = Boolean(r.cost && !seenUnits.has(r.cost.unit));
+        if (r.cost) seenUnits.add(r.cost.unit);
+        r.cheapestLabel = r.cheapest ? t('saltPage.lowestPer', { unit: unitName(r.cost.unit, t) }) : '';
+        r.last = i === rows.length - 1;
+    });
+    return rows;
+}
 
-// ─── Update sitemap.xml ───────────────────────────────────────────────────────
-const today = new Date().toISOString().split('T')[0];
+salts.forEach(salt => {
+    const data = salt.medicines.map(pageData);
+    LANGUAGES.forEach(({ code }) => {
+        const t = translators[code];
+        const rows = saltRows(salt, code);
+        const cheapest = rows.find(r => r.cheapest);
+        const params = { name: salt.name, count: rows.length, unitCost: cheapest && cheapest.unitCostText, brand: cheapest && cheapest.brand };
+        const pageHTML = render('generic', {
+            ...pageFrame(code, saltFile(salt)),
+            title: `${t('saltPage.title', params)} | ${t('page.title')}`,
+            description: t(cheapest ? 'saltPage.descriptionCheapest' : 'saltPage.description', params),
+            backLabel: t('pages.back'),
+            name: salt.name,
+            ingredients: salt.ingredients.join(', '),
+            count: rows.length,
+            cheapest,
+            rows
+        }, t);
+        writePage(code, 'generics', salt.slug, data, pageHTML);
+    });
+});
 
-const medUrls = generatedSlugs.map(s => `    <url>
-        <loc>https://generic-med.org/medicines/${s}.html</loc>
-        <lastmod>${today}</lastmod>
+console.log(`✅ Checked ${salts.length} generic (salt) pages in /generics/`);
+
+// ─── Redirects from old slugs ────────────────────────────────────────────────
+const redirects = {};
+medicines.forEach(med => {
+    (registry[med.id].previous || []).forEach(old => { redirects[old] = med; });
+});
+
+Object.entries(redirects).forEach(([old, med]) => LANGUAGES.forEach(({ code }) => {
+    const dir = pageDir(code, 'medicines');
+    const stub = render('redirect', { lang: code, brand: med.brand, url: siteUrl(code, `medicines/${slugs[med.id]}.html`) }, translators[code]);
+    if (writeIfChanged(path.join(__dirname, dir, `${old}.html`), stub)) counts(dir).redirected.push(old);
+}));
+
+// ─── Delete pages that no longer exist ───────────────────────────────────────
+LANGUAGES.forEach(({ code }) => ['medicines', 'generics'].forEach(folder => {
+    const dir = pageDir(code, folder);
+    fs.readdirSync(path.join(__dirname, dir))
+        .filter(f => f.endsWith('.html') && f !== 'index.html')
+        .map(f => f.slice(0, -5))
+        .filter(s => !manifest[folder][s] && !(folder === 'medicines' && redirects[s]))
+        .forEach(s => {
+            fs.unlinkSync(path.join(__dirname, dir, `${s}.html`));
+            counts(dir).deleted.push(s);
+        });
+}));
+
+// One line per page keeps the manifest's git diffs readable
+const manifestJSON = '{\n' + ['medicines', 'generics'].map(folder => `    "${folder}": {\n` +
+    Object.entries(manifest[folder])
+        .map(([s, e]) => `        ${JSON.stringify(s)}: { "data": "${e.data}", "lastmod": "${e.lastmod}" }`)
+        .join(',\n') + '\n    }').join(',\n') + '\n}\n';
+writeIfChanged(MANIFEST_FILE, manifestJSON);
+
+// ─── Update sitemap.xml ───────────────────────────────────────────────────────
+// Medicine and salt URLs, in every language, are rebuilt from the manifest; every
+// other URL (home, blog, faq...) is maintained by hand in sitemap.xml and kept exactly as it is.
+const medUrls = (lang) => generatedSlugs.map(s => `    <url>
+        <loc>${siteUrl(lang, `medicines/${s}.html`)}</loc>
+        <lastmod>${manifest.medicines[s].lastmod}</lastmod>
         <changefreq>monthly</changefreq>
         <priority>0.9</priority>
     </url>`).join('\n');
 
-const sitemap = `<?xml version="1.0" encoding="UTF-8"?>
-<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
-    <url>
+const saltUrls = (lang) => salts.map(salt => `    <url>
+        <loc>${siteUrl(lang, saltFile(salt))}</loc>
+        <lastmod>${manifest.generics[salt.slug].lastmod}</lastmod>
+        <changefreq>monthly</changefreq>
+        <priority>0.8</priority>
+    </url>`).join('\n');
+
+const otherUrls = sitemapBlocks.filter(block => !/<loc>https:\/\/generic-med\.org\/(?:[a-z]{2}\/)?(medicines|generics)\//.test(block));
+
+const defaultUrls = `    <url>
         <loc>https://generic-med.org/</loc>
         <lastmod>${today}</lastmod>
         <changefreq>weekly</changefreq>
@@ -314,81 +368,84 @@ const sitemap = `<?xml version="1.0" encoding="UTF-8"?>
         <lastmod>${today}</lastmod>
         <changefreq>yearly</changefreq>
         <priority>0.5</priority>
-    </url>
-${medUrls}
+    </url>`;
+
+const sitemap = `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${otherUrls.length ? otherUrls.join('\n') : defaultUrls}
+${LANGUAGES.map(({ code }) => `${medUrls(code)}\n${saltUrls(code)}`).join('\n')}
 </urlset>`;
 
-fs.writeFileSync('sitemap.xml', sitemap, 'utf8');
-console.log(`✅ sitemap.xml updated with ${generatedSlugs.length + 3} URLs`);
+const urlCount = (otherUrls.length || 3) + (generatedSlugs.length + salts.length) * LANGUAGES.length;
+console.log(writeIfChanged(SITEMAP_FILE, sitemap)
+    ? `✅ sitemap.xml updated with ${urlCount} URLs`
+    : `✅ sitemap.xml unchanged (${urlCount} URLs)`);
 
 // ─── Create medicines/index.html (browse all medicines) ──────────────────────
 const categoryGroups = {};
 medicines.forEach(m => {
-    const cat = categoryName(m.category);
-    if (!categoryGroups[cat]) categoryGroups[cat] = [];
-    categoryGroups[cat].push(m);
+    if (!categoryGroups[m.category]) categoryGroups[m.category] = [];
+    categoryGroups[m.category].push(m);
+});
+
+LANGUAGES.forEach(({ code }) => {
+    const t = translators[code];
+    const indexPage = render('browse', {
+        ...pageFrame(code, 'medicines/'),
+        title: `${t('browsePage.title')} | ${t('page.title')}`,
+        description: t('browsePage.description', { count: medicineTotal }),
+        backLabel: t('pages.backToSearch'),
+        count: medicines.length,
+        categories: Object.entries(categoryGroups).map(([cat, meds]) => ({
+            name: categoryName(cat, t),
+            medicines: meds.map(m => ({ brand: m.brand, slug: slugs[m.id] }))
+        }))
+    }, t);
+
+    const file = `${pageDir(code, 'medicines')}/index.html`;
+    console.log(writeIfChanged(path.join(__dirname, file), indexPage)
+        ? `✅ ${file} updated (browse page for all medicines)`
+        : `✅ ${file} unchanged`);
 });
 
-const categoryBlocks = Object.entries(categoryGroups).map(([cat, meds]) => `
-    <section style="margin-bottom:30px;">
-        <h2 style="color:#667eea;margin-bottom:12px;border-bottom:2px solid #667eea;padding-bottom:8px;">${cat}</h2>
-        <div style="display:flex;flex-wrap:wrap;gap:10px;">
-            ${meds.map(m => `<a href="${slug(m.brand)}.html" style="background:white;padding:8px 14px;border-radius:20px;text-decoration:none;color:#333;font-size:14px;box-shadow:0 2px 8px rgba(0,0,0,0.1);transition:all 0.2s;" onmouseover="this.style.background='#667eea';this.style.color='white'" onmouseout="this.style.background='white';this.style.color='#333'">${m.brand}</a>`).join('')}
-        </div>
-    </section>`).join('');
-
-const indexPage = `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>All Generic Medicines - Find Cheaper Alternatives | Generic Medicine Finder</title>
-    <meta name="description" content="Browse 300+ branded medicines and find cheaper generic alternatives. Search by category - fever, antibiotics, diabetes, blood pressure, and more.">
-    <link rel="canonical" href="https://generic-med.org/medicines/">
-    <meta name="robots" content="index, follow">
-    <style>
-        * { margin: 0; padding: 0; box-sizing: border-box; }
-        body { font-family: 'Segoe UI', sans-serif; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); min-height: 100vh; padding: 20px; }
-        .container { max-width: 900px; margin: 0 auto; }
-        .card { background: white; border-radius: 16px; padding: 30px; box-shadow: 0 10px 40px rgba(0,0,0,0.2); }
-        .back-link { color: white; text-decoration: none; font-size: 14px; display: inline-block; margin-bottom: 15px; }
-        .back-link:hover { text-decoration: underline; }
-        h1 { color: #333; margin-bottom: 8px; }
-        .subtitle { color: #666; margin-bottom: 24px; }
-    </style>
-
-    <!-- Google Analytics -->
-    <script async src="https://www.googletagmanager.com/gtag/js?id=G-LJCB050JVS"></script>
-    <script>
-        window.dataLayer = window.dataLayer || [];
-        function gtag(){dataLayer.push(arguments);}
-        gtag('js', new Date());
-        gtag('config', 'G-LJCB050JVS');
-    </script>
-
-    <!-- Microsoft Clarity -->
-    <script type="text/javascript">
-        (function(c,l,a,r,i,t,y){
-            c[a]=c[a]||function(){(c[a].q=c[a].q||[]).push(arguments)};
-            t=l.createElement(r);t.async=1;t.src="https://www.clarity.ms/tag/"+i;
-            y=l.getElementsByTagName(r)[0];y.parentNode.insertBefore(t,y);
-        })(window, document, "clarity", "script", "vh2mybby3f");
-    </script>
-</head>
-<body>
-<div class="container">
-    <a href="https://generic-med.org/" class="back-link">← Back to Search</a>
-    <div class="card">
-        <h1>💊 All Generic Medicines (${medicines.length})</h1>
-        <p class="subtitle">Click any medicine to find cheaper generic alternatives and compare prices.</p>
-        ${categoryBlocks}
-    </div>
-</div>
-</body>
-</html>`;
-
-fs.writeFileSync(path.join(outDir, 'index.html'), indexPage, 'utf8');
-console.log(`✅ medicines/index.html created (browse page for all medicines)`);
+// ─── Search index (data/search-index.json) ───────────────────────────────────
+// One line per word keeps the index's git diffs readable
+const searchIndex = buildIndex(medicines, {
+    pages: medicines.map(med => slugs[med.id]),
+    salts: salts.map(salt => ({ name: salt.name, slug: salt.slug, count: salt.medicines.length }))
+});
+const searchIndexJSON = '{\n' +
+    `    "version": ${searchIndex.version},\n` +
+    `    "docs": ${JSON.stringify(searchIndex.docs)},\n` +
+    `    "pages": ${JSON.stringify(searchIndex.pages)},\n` +
+    '    "salts": [\n' + searchIndex.salts.map(salt => `        ${JSON.stringify(salt)}`).join(',\n') + '\n    ],\n' +
+    '    "terms": {\n' + Object.entries(searchIndex.terms)
+        .map(([word, postings]) => `        ${JSON.stringify(word)}: ${JSON.stringify(postings)}`).join(',\n') + '\n    },\n' +
+    '    "sounds": {\n' + Object.entries(searchIndex.sounds)
+        .map(([key, words]) => `        ${JSON.stringify(key)}: ${JSON.stringify(words)}`).join(',\n') + '\n    }\n}\n';
+console.log(writeIfChanged(path.join(__dirname, 'data', 'search-index.json'), searchIndexJSON)
+    ? `✅ data/search-index.json updated (${Object.keys(searchIndex.terms).length} words)`
+    : '✅ data/search-index.json unchanged');
+
+// ─── Summary ─────────────────────────────────────────────────────────────────
+const listChanges = (sign, folder, slugs) => {
+    if (slugs.length > 0 && slugs.length <= 20) slugs.forEach(s => console.log(`   ${sign} ${folder}/${s}.html`));
+};
+[['Medicine', 'medicines'], ['Generic', 'generics']].forEach(([label, folder]) => {
+    const folderCounts = counts(folder);
+    const redirectCount = folder === 'medicines' ? `, ${Object.keys(redirects).length} redirects` : '';
+    console.log(`${label === 'Medicine' ? '\n' : ''}📊 ${label} pages: ${folderCounts.created.length} created, ${folderCounts.updated.length} updated, ${folderCounts.deleted.length} deleted, ${folderCounts.unchanged} unchanged${redirectCount}`);
+    listChanges('+', folder, folderCounts.created);
+    listChanges('~', folder, folderCounts.updated);
+    listChanges('-', folder, folderCounts.deleted);
+    listChanges('→', folder, folderCounts.redirected);
+});
+// The other languages follow the English pages, so only their totals are listed
+LANGUAGES.filter(({ code }) => code !== DEFAULT_LANGUAGE).forEach(({ code, name }) => {
+    const dirs = ['medicines', 'generics'].map(folder => counts(pageDir(code, folder)));
+    const total = (key) => dirs.reduce((n, c) => n + (key === 'unchanged' ? c.unchanged : c[key].length), 0);
+    console.log(`📊 ${name} (${code}/) pages: ${total('created')} created, ${total('updated')} updated, ${total('deleted')} deleted, ${total('unchanged')} unchanged`);
+});
 
 console.log('\n🎉 Done! Next steps:');
 console.log('   1. Deploy to your server');
@@ -0,0 +1,261 @@
+/**
+ * import-medicines.js
+ * Merges medicines from CSV or JSON files into data/medicines.json by brand.
+ * Existing brands are updated, new brands are appended with a new id, and brands that look
+ * like an existing one ("Atorva-20" vs "Atorva 20") are refused as conflicts unless
+ * --allow-similar is given. Variants such as "Meftal-P" are not conflicts.
+ * Prints a dry-run diff unless --write is given; running it twice is a no-op.
+ *
+ * JSON: an array of medicine records, with structured prices or the old text
+ *   form ("priceRange": "₹15-30 per strip (10 tablets)", "price": "₹8-12").
+ * CSV: header row with brand,generic,category,usage,price,alternatives
+ *   (optional nppaPrice,nppaNote). Alternatives are "Name: ₹8-12; Name: ₹10-15".
+ *   Empty cells keep the existing value when updating.
+ *
+ * Run: node import-medicines.js <file.csv|file.json> [...more files] [--write] [--allow-similar]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadMedicines, saveMedicines, validateMedicines } = require('./tools/medicine-db');
+const { migrateMedicine } = require('./migrate-prices');
+const { formatPrice, formatAltPrice } = require('./js/price');
+const { newId } = require('./tools/slugs');
+
+const FIELDS = ['id', 'brand', 'generic', 'category', 'usage', 'price', 'nppaPrice', 'nppaNote', 'alternatives'];
+
+// ─── Reading input files ─────────────────────────────────────────────────────
+function parseCsv(text) {
+    const rows = [];
+    let row = [], cell = '', quoted = false;
+    text = text.replace(/^\uFEFF/, '');
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else cell += ch;
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            row.push(cell); cell = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell); cell = '';
+            if (row.some(c => c.trim())) rows.push(row);
+            row = [];
+        } else {
+            cell += ch;
+        }
+    }
+    row.push(cell);
+    if (row.some(c => c.trim())) rows.push(row);
+    return rows;
+}
+
+// "Paracetamol (Generic): ₹8-12; Calpol: ₹14-18" → [{ name, price }]
+function parseAlternatives(cell) {
+    return cell.split(';').map(s => s.trim()).filter(Boolean).map(item => {
+        const sep = item.lastIndexOf(':');
+        return sep === -1
+            ? { name: item, price: '' }
+            : { name: item.slice(0, sep).trim(), price: item.slice(sep + 1).trim() };
+    });
+}
+
+function readCsv(file) {
+    const [header, ...rows] = parseCsv(fs.readFileSync(file, 'utf8'));
+    const columns = (header || []).map(h => h.trim());
+    const missing = ['brand'].filter(c => !columns.includes(c));
+    if (missing.length) throw new Error(`missing column${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}`);
+
+    return rows.map(cells => {
+        const rec = {};
+        columns.forEach((col, i) => {
+            const value = (cells[i] || '').trim();
+            if (!value) return;
+            if (col === 'price' || col === 'priceRange') rec.priceRange = value;
+            else if (col === 'alternatives') rec.alternatives = parseAlternatives(value);
+            else rec[col] = value;
+        });
+        return rec;
+    });
+}
+
+function readJson(file) {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(data)) throw new Error('expected an array of medicines');
+    return data;
+}
+
+// Bring old text prices into the structured model; keep only known fields.
+// Ids are never imported: existing medicines keep theirs, new ones get one here.
+function normalize(rec) {
+    const { med, problems } = migrateMedicine(rec);
+    const out = {};
+    FIELDS.filter(f => f !== 'id').forEach(f => {
+        if (med[f] !== undefined) out[f] = typeof med[f] === 'string' ? med[f].trim() : med[f];
+    });
+    return { med: out, problems: problems.filter(p => !p.includes('units per pack unknown')) };
+}
+
+// ─── Matching by brand ───────────────────────────────────────────────────────
+const exactKey = (brand) => String(brand).trim().toLowerCase().replace(/\s+/g, ' ');
+// Words for the dosage form, in any position: "Clindamycin Gel 1" ~ "Clindamycin 1% Gel"
+const FORM_WORDS = /\b(?:tablets?|tabs?|capsules?|caps?|syrup|suspension|drops|gel|cream|ointment|lotion|injection|inj)\b/g;
+// Ignores spacing, punctuation, form words and unit suffixes: "Atorva-20" ~ "Atorva 20mg"
+const looseKey = (brand) => exactKey(brand)
+    .replace(FORM_WORDS, ' ')
+    .replace(/(\d)\s*(mg|mcg|ml|g|%)(?![a-z])/g, '$1')
+    .replace(/[^a-z0-9.]+/g, '');
+const numbersOf = (brand) => (String(brand).match(/\d+(?:\.\d+)?/g) || []).join(',');
+const lettersOf = (brand) => looseKey(brand).replace(/[^a-z]/g, '');
+// A letter on its own marks a variant, not a typo: "Meftal-P", "Candid B", "Telma H 40"
+const variantOf = (brand) => (exactKey(brand).match(/(?:^|[\s-])[a-z](?=$|[\s\d-])/g) || [])
+    .map(v => v.replace(/[\s-]/g, '')).join(',');
+
+function editDistance(a, b) {
+    const prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        let diag = prev[0];
+        prev[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const tmp = prev[j];
+            prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diag + (a[i - 1] === b[j - 1] ? 0 : 1));
+            diag = tmp;
+        }
+    }
+    return prev[b.length];
+}
+
+// Same variant, strength numbers and (almost) the same letters, but not the same brand.
+// Brands starting with another letter ("Zantac", "Rantac") are different brands.
+function isNearDuplicate(a, b) {
+    if (exactKey(a) === exactKey(b)) return false;
+    if (variantOf(a) !== variantOf(b)) return false;
+    if (looseKey(a) === looseKey(b)) return true;
+    if (numbersOf(a) !== numbersOf(b)) return false;
+    const la = lettersOf(a), lb = lettersOf(b);
+    return Math.min(la.length, lb.length) >= 5 && la[0] === lb[0] && editDistance(la, lb) <= 1;
+}
+
+// ─── Describing changes ──────────────────────────────────────────────────────
+function describe(field, value) {
+    if (field === 'price') return formatPrice(value);
+    if (field === 'alternatives') return value.map(a => `${a.name} ${formatAltPrice(a.price)}`).join('; ');
+    return String(value);
+}
+
+function changedFields(existing, incoming) {
+    return Object.keys(incoming).filter(f => f !== 'brand' &&
+        JSON.stringify(existing[f]) !== JSON.stringify(incoming[f]));
+}
+
+module.exports = { parseCsv, parseAlternatives, isNearDuplicate };
+
+// ─── Main ────────────────────────────────────────────────────────────────────
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const write = args.includes('--write');
+    const allowSimilar = args.includes('--allow-similar');
+    const files = args.filter(a => !a.startsWith('--'));
+
+    if (files.length === 0) {
+        console.error('Usage: node import-medicines.js <file.csv|file.json> [...more files] [--write] [--allow-similar]');
+        process.exit(1);
+    }
+
+    let incoming = [];
+    for (const file of files) {
+        try {
+            const records = path.extname(file).toLowerCase() === '.csv' ? readCsv(file) : readJson(file);
+            incoming = incoming.concat(records.map((rec, i) => ({ rec, source: `${file} #${i + 1}` })));
+        } catch (e) {
+            console.error(`❌ Could not read ${file}: ${e.message}`);
+            process.exit(1);
+        }
+    }
+
+    const medicines = loadMedicines();
+    const byKey = new Map(medicines.map((m, idx) => [exactKey(m.brand), idx]));
+    const seenInImport = new Map();
+    const added = [], updated = [], unchanged = [], conflicts = [], warnings = [];
+
+    incoming.forEach(({ rec, source }) => {
+        if (!rec || typeof rec.brand !== 'string' || !rec.brand.trim()) {
+            conflicts.push(`${source}: record has no brand`);
+            return;
+        }
+        const { med, problems } = normalize(rec);
+        problems.forEach(p => warnings.push(`${med.brand}: ${p}`));
+        const key = exactKey(med.brand);
+
+        const earlier = [...seenInImport.keys()].find(k => k === key || (!allowSimilar && isNearDuplicate(k, key)));
+        if (earlier !== undefined) {
+            conflicts.push(`${source}: "${med.brand}" already appears in this import at ${seenInImport.get(earlier)}`);
+            return;
+        }
+
+        if (byKey.has(key)) {
+            seenInImport.set(key, source);
+            const idx = byKey.get(key);
+            const existing = medicines[idx];
+            const fields = changedFields(existing, med);
+            if (fields.length === 0) {
+                unchanged.push(existing.brand);
+                return;
+            }
+            const merged = { ...existing, ...med, brand: existing.brand };
+            medicines[idx] = FIELDS.reduce((out, f) => {
+                if (merged[f] !== undefined) out[f] = merged[f];
+                return out;
+            }, {});
+            updated.push({ brand: existing.brand, changes: fields.map(f => ({ field: f, from: existing[f], to: med[f] })) });
+            return;
+        }
+
+        const similar = medicines.find(m => isNearDuplicate(m.brand, med.brand));
+        if (similar && !allowSimilar) {
+            conflicts.push(`${source}: "${med.brand}" looks like existing "${similar.brand}" (use the exact brand name to update it, or --allow-similar if it is another medicine)`);
+            return;
+        }
+        if (similar) warnings.push(`${med.brand}: added next to similar "${similar.brand}" (--allow-similar)`);
+
+        seenInImport.set(key, source);
+        const record = { id: newId(med.brand, medicines), ...med };
+        medicines.push(record);
+        byKey.set(key, medicines.length - 1);
+        added.push(record);
+    });
+
+    // ─── Report ──────────────────────────────────────────────────────────────
+    added.forEach(m => console.log(`+ ${m.brand} (${m.category || 'no category'}) ${m.price ? describe('price', m.price) : ''}`));
+    updated.forEach(u => {
+        console.log(`~ ${u.brand}`);
+        u.changes.forEach(c => console.log(`    ${c.field}: ${c.from === undefined ? '(none)' : describe(c.field, c.from)}\n      → ${describe(c.field, c.to)}`));
+    });
+    conflicts.forEach(c => console.log(`! ${c}`));
+    warnings.forEach(w => console.log(`⚠️  ${w}`));
+    console.log(`\n${added.length} added, ${updated.length} updated, ${unchanged.length} unchanged, ${conflicts.length} conflict${conflicts.length !== 1 ? 's' : ''}`);
+
+    if (conflicts.length > 0) {
+        console.error('❌ Resolve the conflicts above before importing');
+        process.exit(1);
+    }
+
+    const errors = validateMedicines(medicines);
+    if (errors.length > 0) {
+        errors.forEach(err => console.error(`   ✗ ${err}`));
+        console.error('❌ The imported medicines would make data/medicines.json invalid');
+        process.exit(1);
+    }
+
+    if (!write) {
+        console.log('Dry run: nothing saved. Re-run with --write to apply.');
+    } else if (added.length + updated.length === 0) {
+        console.log('✅ Nothing to change');
+    } else {
+        saveMedicines(medicines);
+        console.log('✅ data/medicines.json updated. Now run: node generate-pages.js');
+    }
+}
@@ -0,0 +1,267 @@
+/**
+ * js/backup.js
+ * Passphrase-encrypted backups of everything in js/store.js, and syncing them
+ * between devices through a sync server, shared by index.html
+ * (window.MedBackup) and check-sync.js (require('./js/backup')). Depends on
+ * js/store.js.
+ *
+ * A backup file is JSON that says what it is and how it was encrypted, with
+ * the store's snapshot() encrypted inside:
+ *   { app: "generic-med.org", type: "backup", version: 1, created: <ISO date>,
+ *     kdf: { name: "PBKDF2", hash: "SHA-256", iterations, salt },
+ *     cipher: { name: "AES-GCM", iv }, data }
+ * (salt, iv and data in base64). The key comes from the passphrase alone, so
+ * a forgotten passphrase cannot be recovered.
+ *
+ * Sync keeps the same encrypted file on a server (sync-server.js, or anything
+ * that speaks its protocol), so the server never sees the data:
+ *   GET  {endpoint}/v1/vaults/{vault}  → 200 { revision, blob } | 404
+ *   PUT  {endpoint}/v1/vaults/{vault}  { baseRevision, blob }
+ *        → 200 { revision } | 409 { revision, blob } when someone else saved first
+ * Devices that share a vault id (the "sync code") and passphrase share data.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory(require('./store'), require('crypto').webcrypto);
+    else root.MedBackup = factory(root.MedStore, root.crypto);
+})(typeof self !== 'undefined' ? self : this, function (MedStore, webCrypto) {
+
+    const APP = 'generic-med.org';
+    const FORMAT_VERSION = 1;
+    const KDF_ITERATIONS = 250000;
+    // Files asking for fewer are refused, so a tampered file or vault cannot weaken the key
+    const MIN_KDF_ITERATIONS = KDF_ITERATIONS;
+    // Saves that lose to another device are retried this many times
+    const SYNC_ATTEMPTS = 3;
+    const VAULT_PATTERN = /^[A-Za-z0-9_-]{16,64}$/;
+
+    const subtle = () => {
+        if (!webCrypto || !webCrypto.subtle) throw new Error('Encryption needs a secure (https) page.');
+        return webCrypto.subtle;
+    };
+
+    function toBase64(bytes) {
+        let binary = '';
+        for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+        return btoa(binary);
+    }
+
+    function fromBase64(text) {
+        const binary = atob(text);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    }
+
+    function randomBytes(n) {
+        return webCrypto.getRandomValues(new Uint8Array(n));
+    }
+
+    // ─── Encryption ──────────────────────────────────────────────────────────
+
+    async function deriveKey(passphrase, salt, iterations) {
+        const material = await subtle().importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return subtle().deriveKey({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+            material, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+    }
+
+    // `value` (any JSON) as a backup file object
+    async function encrypt(value, passphrase) {
+        if (!passphrase) throw new Error('Enter a passphrase.');
+        const salt = randomBytes(16);
+        const iv = randomBytes(12);
+        const key = await deriveKey(passphrase, salt, KDF_ITERATIONS);
+        const data = await subtle().encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value)));
+        return {
+            app: APP,
+            type: 'backup',
+            version: FORMAT_VERSION,
+            created: new Date().toISOString(),
+            kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: KDF_ITERATIONS, salt: toBase64(salt) },
+            cipher: { name: 'AES-GCM', iv: toBase64(iv) },
+            data: toBase64(new Uint8Array(data))
+        };
+    }
+
+    // What encrypt() was given; throws when the passphrase is wrong or the file is not a backup
+    async function decrypt(file, passphrase) {
+        if (!file || file.app !== APP || file.type !== 'backup' || !file.kdf || !file.cipher) {
+            throw new Error('This is not a generic-med.org backup file.');
+        }
+        if (file.version > FORMAT_VERSION) throw new Error('This backup was made by a newer version of the site. Reload the page and try again.');
+        if (!(file.kdf.iterations >= MIN_KDF_ITERATIONS)) throw new Error('This backup uses weaker encryption than the site allows, so it was not opened.');
+        let plain;
+        try {
+            const key = await deriveKey(passphrase, fromBase64(file.kdf.salt), file.kdf.iterations);
+            plain = await subtle().decrypt({ name: 'AES-GCM', iv: fromBase64(file.cipher.iv) }, key, fromBase64(file.data));
+        } catch (e) {
+            throw new Error('Wrong passphrase, or the backup file is damaged.');
+        }
+        return JSON.parse(new TextDecoder().decode(plain));
+    }
+
+    // An encrypted backup of everything in `store`
+    async function backup(passphrase, store = MedStore) {
+        return encrypt(await store.snapshot(), passphrase);
+    }
+
+    // Replace what `store` has with a backup file's contents; resolves with the snapshot
+    async function restoreBackup(file, passphrase, store = MedStore) {
+        const snap = await decrypt(file, passphrase);
+        await store.restore(snap);
+        return snap;
+    }
+
+    // ─── Sync ────────────────────────────────────────────────────────────────
+
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+    /**
+     * Three-way merge of two Maps of the same keys against `base`, the copy
+     * both sides last agreed on: a key added, changed or kept on one side
+     * only takes that side's value, a key removed on one side and left alone
+     * on the other is removed, and a key changed on both goes to
+     * resolve(a, b, base). Without a base nothing counts as removed. Keys
+     * come in b's order, then a's, so every device settles on the same order.
+     */
+    function mergeKeyed(a, b, base, resolve) {
+        const merged = new Map();
+        new Set([...b.keys(), ...a.keys()]).forEach(key => {
+            const before = base.get(key);
+            if (a.has(key) && b.has(key)) {
+                const x = a.get(key), y = b.get(key);
+                merged.set(key, same(x, y) || same(y, before) ? x : same(x, before) ? y : resolve(x, y, before));
+                return;
+            }
+            const value = a.has(key) ? a.get(key) : b.get(key);
+            if (!base.has(key) || !same(value, before)) merged.set(key, value);
+        });
+        return merged;
+    }
+
+    // Bookmarks are a set of brand names
+    function mergeBookmarks(a, b, base) {
+        const set = list => new Map((list || []).map(name => [name, true]));
+        return [...mergeKeyed(set(a), set(b), set(base), () => true).keys()];
+    }
+
+    // Cabinets by member, and each member's medicines by brand; an entry both
+    // devices changed is taken from the one whose cabinet changed last
+    function mergeCabinets(a, b, base, bIsNewer) {
+        const members = cabinet => new Map(Object.entries(cabinet || {}));
+        const entries = list => new Map((list || []).map(entry => [entry.brand, entry]));
+        const newer = (x, y) => bIsNewer ? y : x;
+        const merged = mergeKeyed(members(a), members(b), members(base), (x, y, before) =>
+            [...mergeKeyed(entries(x), entries(y), entries(before), newer).values()]);
+        return Object.fromEntries(merged);
+    }
+
+    /**
+     * Two snapshots as one, given `base`, the snapshot they were both synced
+     * to last time (if any). Saved medicines and family cabinets are merged
+     * item by item, so additions from either device are kept and removals
+     * carry over. The dose log keeps doses logged on either device, the later
+     * entry for the same dose winning. Feedback and reminders are taken whole
+     * from whichever device changed them last.
+     */
+    function merge(local, remote, base) {
+        const collections = {};
+        MedStore.COLLECTIONS.forEach(name => {
+            const a = local.collections[name], b = remote.collections[name];
+            if (!a || !b) {
+                if (a || b) collections[name] = a || b;
+                return;
+            }
+            const modified = Math.max(a.modified, b.modified);
+            const before = base && base.collections[name] ? base.collections[name].value : undefined;
+            if (name === 'doses') {
+                const byKey = new Map();
+                a.value.concat(b.value).forEach(entry => {
+                    const seen = byKey.get(entry.key);
+                    if (!seen || entry.at > seen.at) byKey.set(entry.key, entry);
+                });
+                collections[name] = { value: [...byKey.values()], modified };
+            } else if (name === 'bookmarks') {
+                collections[name] = { value: mergeBookmarks(a.value, b.value, before), modified };
+            } else if (name === 'familyCabinet') {
+                collections[name] = { value: mergeCabinets(a.value, b.value, before, b.modified > a.modified), modified };
+            } else {
+                collections[name] = b.modified > a.modified ? b : a;
+            }
+        });
+        return { schema: Math.max(local.schema, remote.schema), collections };
+    }
+
+    // A new random vault id
+    function newVault() {
+        return toBase64(randomBytes(15)).replace(/\+/g, '-').replace(/\//g, '_');
+    }
+
+    function vaultUrl(endpoint, vault) {
+        if (!VAULT_PATTERN.test(vault)) throw new Error('The sync code should be 16 to 64 letters, digits, - or _.');
+        return endpoint.replace(/\/+$/, '') + '/v1/vaults/' + vault;
+    }
+
+    async function readResponse(res) {
+        try {
+            return await res.json();
+        } catch (e) {
+            return {};
+        }
+    }
+
+    /**
+     * Sync `store` with a vault: fetch the server's copy, merge it with ours,
+     * save the result to both. What was saved is kept in the store's `meta`
+     * as the base for the next merge with that vault, so removals carry over.
+     * `options` is { endpoint, vault, passphrase }
+     * (and `fetch` outside the browser). Resolves with
+     * { revision, changed: [collections updated here] }.
+     */
+    async function sync(options, store = MedStore) {
+        const fetchFn = options.fetch || fetch;
+        const url = vaultUrl(options.endpoint, options.vault);
+        const baseKey = 'syncBase:' + options.vault;
+        const base = await store.get('meta', baseKey);
+        let res = await fetchFn(url, { cache: 'no-store' });
+        let remote = res.status === 404 ? null : await readResponse(res);
+        if (res.status !== 404 && !res.ok) throw new Error(`The sync server said: ${remote.error || 'HTTP ' + res.status}`);
+
+        for (let attempt = 1; attempt <= SYNC_ATTEMPTS; attempt++) {
+            const local = await store.snapshot();
+            const merged = remote ? merge(local, await decrypt(remote.blob, options.passphrase), base) : local;
+            res = await fetchFn(url, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ baseRevision: remote ? remote.revision : 0, blob: await encrypt(merged, options.passphrase) })
+            });
+            const body = await readResponse(res);
+            // Another device saved in between: merge with its copy and try again
+            if (res.status === 409) {
+                remote = body;
+                continue;
+            }
+            if (!res.ok) throw new Error(`The sync server said: ${body.error || 'HTTP ' + res.status}`);
+
+            const changed = Object.keys(merged.collections)
+                .filter(name => !same(local.collections[name], merged.collections[name]));
+            await store.restore({ schema: merged.schema, collections: Object.fromEntries(changed.map(name => [name, merged.collections[name]])) });
+            await store.put('meta', merged, baseKey);
+            return { revision: body.revision, changed };
+        }
+        throw new Error('Another device kept saving at the same time. Try again in a moment.');
+    }
+
+    return {
+        APP,
+        FORMAT_VERSION,
+        KDF_ITERATIONS,
+        VAULT_PATTERN,
+        encrypt,
+        decrypt,
+        backup,
+        restoreBackup,
+        merge,
+        newVault,
+        sync
+    };
+});
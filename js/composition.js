@@ -0,0 +1,211 @@
+/**
+ * js/composition.js
+ * Parses the free-text `generic` field into active ingredients and strengths,
+ * shared by index.html (window.MedComposition) and the Node build tools
+ * (require('./js/composition')).
+ *
+ *   parse("Atorvastatin 10mg + Aspirin 75mg")
+ *   → [{ ingredient: "Atorvastatin", strength: 10, unit: "mg" },
+ *      { ingredient: "Aspirin", strength: 75, unit: "mg" }]
+ *
+ * Ingredient names are canonicalised through the synonym dictionary below
+ * (Acetaminophen → Paracetamol, Vitamin B6 → Pyridoxine), salt suffixes such
+ * as "Hydrochloride" or "Maleate" and dosage forms ("Eye Drops", "SR") are
+ * dropped, so two entries can be compared as "same salt, same strength".
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.MedComposition = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    // Canonical name → other names it is sold or prescribed under
+    const SYNONYMS = {
+        'Paracetamol': ['acetaminophen', 'apap', 'pcm'],
+        'Salbutamol': ['albuterol'],
+        'Levosalbutamol': ['levalbuterol'],
+        'Aspirin': ['acetylsalicylic acid'],
+        'Amoxicillin': ['amoxycillin'],
+        'Clavulanic Acid': ['clavulanate', 'potassium clavulanate'],
+        'Cephalexin': ['cefalexin'],
+        'Furosemide': ['frusemide'],
+        'Rifampicin': ['rifampin'],
+        'Mesalazine': ['mesalamine'],
+        'Methimazole': ['thiamazole'],
+        'Nitroglycerin': ['glyceryl trinitrate'],
+        'Cholecalciferol': ['vitamin d3', 'vitamin d'],
+        'Calcitriol': ['active vitamin d'],
+        'Thiamine': ['vitamin b1'],
+        'Riboflavin': ['vitamin b2'],
+        'Pyridoxine': ['vitamin b6'],
+        'Biotin': ['vitamin b7'],
+        'Cyanocobalamin': ['vitamin b12'],
+        'Ascorbic Acid': ['vitamin c'],
+        'Vitamin E': ['tocopherol'],
+        'Phytomenadione': ['vitamin k1', 'phytonadione'],
+        'Ispaghula': ['psyllium', 'isabgol'],
+        'Lidocaine': ['lignocaine'],
+        'Adrenaline': ['epinephrine'],
+        'Ethinyl Estradiol': ['ethinylestradiol', 'ethinyloestradiol'],
+        'Estradiol': ['oestradiol'],
+        'Omega-3 Fatty Acids': ['fish oil', 'omega 3 fatty acids', 'omega-3'],
+        'N-Acetylcysteine': ['acetylcysteine', 'n-acetyl cysteine', 'nac'],
+        'Sulfamethoxazole': ['sulphamethoxazole'],
+        'Sodium Valproate': ['valproate', 'valproate sodium'],
+        'Oral Rehydration Salts': ['ors'],
+        'Levothyroxine': ['thyroxine', 'l-thyroxine'],
+        'Liothyronine': ['t3'],
+        'Ursodeoxycholic Acid': ['ursodiol', 'udca'],
+        'Zinc Sulphate': ['zinc sulfate'],
+        'Etofylline': ['etophylline'],
+        'Formoterol': ['eformoterol'],
+        'Beclomethasone': ['beclometasone'],
+        'Dicyclomine': ['dicycloverine'],
+        'Chlorpheniramine': ['chlorphenamine'],
+        'Magnesium Hydroxide': ['milk of magnesia'],
+        'Glucosamine': ['glucosamine sulfate', 'glucosamine sulphate'],
+        'Multivitamin': ['multivitamins']
+    };
+
+    const CANONICAL = {};
+    Object.keys(SYNONYMS).forEach(name => {
+        CANONICAL[name.toLowerCase()] = name;
+        SYNONYMS[name].forEach(alias => { CANONICAL[alias] = name; });
+    });
+
+    // "Metformin Hydrochloride" and "Metformin" are the same active ingredient
+    const SALT_SUFFIXES = ['hydrochloride', 'hcl', 'hydrobromide', 'hbr', 'maleate', 'mesylate', 'besylate',
+        'besilate', 'succinate', 'tartrate', 'fumarate', 'citrate', 'phosphate', 'acetate', 'propionate',
+        'dipropionate', 'furoate', 'carbonate', 'sodium', 'potassium', 'monohydrate', 'trihydrate'];
+    // ...unless nothing but a mineral would be left ("Sodium Citrate", "Magnesium Phosphate")
+    const MINERALS = ['sodium', 'potassium', 'magnesium', 'zinc', 'iron', 'ferrous', 'aluminium'];
+
+    const FORMS = /\b(?:(?:eye\/ear|eye|ear|nasal)\s+)?(?:drops|ointment|spray)\b|\b(?:sr|er|xr|cr|mr|od|extended release|sublingual|suspension|syrup|cream|gel|lotion|injection|inhaler|nebulizer|sachet)\b/gi;
+    const STRENGTH = /(\d+(?:\.\d+)?)\s*(mg|mcg|µg|g|iu|%|ml)(?:\s*\/\s*(\d*(?:\.\d+)?)\s*(ml|g))?(?![a-z])/i;
+
+    function normaliseUnit(unit) {
+        const u = unit.toLowerCase();
+        return u === 'iu' ? 'IU' : u === 'µg' ? 'mcg' : u;
+    }
+
+    /**
+     * Canonical display name of an ingredient ("acetaminophen" → "Paracetamol").
+     * Names not in the dictionary come back cleaned but otherwise as written.
+     */
+    function canonicalIngredient(name) {
+        let clean = String(name || '').replace(/\([^)]*\)/g, ' ').replace(FORMS, ' ')
+            .replace(/\s+/g, ' ').trim();
+        const words = clean.split(' ');
+        while (words.length > 1 && SALT_SUFFIXES.includes(words[words.length - 1].toLowerCase()) &&
+            !(words.length === 2 && MINERALS.includes(words[0].toLowerCase()))) {
+            if (CANONICAL[words.join(' ').toLowerCase()]) break;
+            words.pop();
+        }
+        clean = words.join(' ');
+        // "Fish Oil / Omega-3 Fatty Acids": either name may be the known one
+        const known = [clean, ...clean.split(/\s*\/\s*/)].map(n => CANONICAL[n.toLowerCase()]).find(Boolean);
+        return known || clean;
+    }
+
+    // Lower-case key for comparing ingredients
+    function ingredientKey(name) {
+        return canonicalIngredient(name).toLowerCase();
+    }
+
+    /**
+     * Parse a generic name into [{ ingredient, strength, unit }]. Strength and
+     * unit are null when the text does not give them. A single strength after
+     * the last ingredient of a combination ("Amoxicillin + Clavulanic Acid 625mg")
+     * is the strength of the whole combination, so no ingredient gets it.
+     */
+    function parse(generic) {
+        const parts = String(generic || '').split('+').map(p => p.trim()).filter(Boolean);
+        const items = parts.map(part => {
+            const m = part.match(STRENGTH);
+            const ingredient = canonicalIngredient(m ? part.replace(m[0], ' ') : part);
+            if (!m) return { ingredient, strength: null, unit: null };
+            const unit = m[4] ? `${normaliseUnit(m[2])}/${m[3] || ''}${m[4].toLowerCase()}` : normaliseUnit(m[2]);
+            return { ingredient, strength: +m[1], unit };
+        }).filter(item => item.ingredient);
+
+        const withStrength = items.filter(item => item.strength !== null);
+        if (items.length > 1 && withStrength.length === 1 && withStrength[0] === items[items.length - 1]) {
+            withStrength[0].strength = null;
+            withStrength[0].unit = null;
+        }
+        return items;
+    }
+
+    const cache = typeof WeakMap === 'function' ? new WeakMap() : null;
+
+    /**
+     * Composition of a catalogue medicine. A single-ingredient generic with no
+     * strength takes the pack strength ("Dolo 650": Paracetamol + price.strength).
+     */
+    function compositionOf(med) {
+        if (cache && cache.has(med)) return cache.get(med);
+        const items = parse(med.generic);
+        const packStrength = med.price && med.price.strength && parse('x ' + med.price.strength)[0];
+        if (items.length === 1 && items[0].strength === null && packStrength && packStrength.strength !== null) {
+            items[0].strength = packStrength.strength;
+            items[0].unit = packStrength.unit;
+        }
+        if (cache) cache.set(med, items);
+        return items;
+    }
+
+    // "Paracetamol 500mg + Caffeine 30mg"
+    function format(composition) {
+        return composition.map(c => c.strength !== null ? `${c.ingredient} ${c.strength}${c.unit === 'IU' ? ' IU' : c.unit}` : c.ingredient).join(' + ');
+    }
+
+    // Ingredients only, in a fixed order: "caffeine + paracetamol"
+    function saltKey(composition) {
+        return composition.map(c => c.ingredient.toLowerCase()).sort().join(' + ');
+    }
+
+    function sameSalt(a, b) {
+        return a.length > 0 && saltKey(a) === saltKey(b);
+    }
+
+    // Strength in a comparable unit: mcg and g become mg
+    function toBase(strength, unit) {
+        if (unit === 'mcg') return { value: strength / 1000, unit: 'mg' };
+        if (unit === 'g') return { value: strength * 1000, unit: 'mg' };
+        return { value: strength, unit };
+    }
+
+    /**
+     * Whether two compositions of the same salt have the same strengths:
+     * true or false, or null when either side does not state a strength.
+     * Different salts are never the same strength.
+     */
+    function sameStrength(a, b) {
+        if (!sameSalt(a, b)) return false;
+        const byKey = (list) => {
+            const map = {};
+            list.forEach(c => { map[c.ingredient.toLowerCase()] = c; });
+            return map;
+        };
+        const left = byKey(a), right = byKey(b);
+        let unknown = false;
+        for (const key of Object.keys(left)) {
+            const x = left[key], y = right[key];
+            if (x.strength === null || y.strength === null) { unknown = true; continue; }
+            const bx = toBase(x.strength, x.unit), by = toBase(y.strength, y.unit);
+            if (bx.unit !== by.unit || Math.abs(bx.value - by.value) > 1e-9) return false;
+        }
+        return unknown ? null : true;
+    }
+
+    return {
+        SYNONYMS,
+        parse,
+        compositionOf,
+        canonicalIngredient,
+        ingredientKey,
+        format,
+        saltKey,
+        sameSalt,
+        sameStrength
+    };
+});
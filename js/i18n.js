@@ -0,0 +1,152 @@
+/**
+ * js/i18n.js
+ * The site's languages and message catalogues, shared by index.html
+ * (window.MedI18n), generate-pages.js and check-locales.js (require('./js/i18n')).
+ *
+ * Each language has a catalogue in locales/<code>.json of message keys to text:
+ *   "results.count": { "one": "Showing {count} medicine", "other": "Showing {count} medicines" }
+ *   "card.save": "Save {percent}%"
+ * {name} is replaced by the parameter of that name. A message that depends on
+ * a number has a form for each plural category of the language (Intl.PluralRules,
+ * "other" always among them), chosen by the `count` parameter, and may have
+ * forms for exact numbers too ("=2": "twice a day"). Keys missing
+ * from a catalogue fall back to English (locales/en.json).
+ *
+ * Medicine names, compositions, usage and prices come from data/medicines.json
+ * and are shown as they are, in English.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.MedI18n = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    // `locale` is for plural rules and dates
+    const LANGUAGES = [
+        { code: 'en', name: 'English', locale: 'en-IN' },
+        { code: 'hi', name: 'हिन्दी', locale: 'hi-IN' },
+        { code: 'mr', name: 'मराठी', locale: 'mr-IN' },
+        { code: 'ta', name: 'தமிழ்', locale: 'ta-IN' },
+        { code: 'te', name: 'తెలుగు', locale: 'te-IN' },
+        { code: 'bn', name: 'বাংলা', locale: 'bn-IN' }
+    ];
+    const DEFAULT_LANGUAGE = 'en';
+    // Where the page keeps the language chosen
+    const STORAGE_KEY = 'medLanguage';
+
+    function language(code) {
+        return LANGUAGES.find(l => l.code === code) || null;
+    }
+
+    // The first supported language of `candidates` ("hi-IN", "mr", ...), or English
+    function pickLanguage(candidates) {
+        for (const candidate of candidates || []) {
+            const code = String(candidate || '').toLowerCase().split(/[-_]/)[0];
+            if (language(code)) return code;
+        }
+        return DEFAULT_LANGUAGE;
+    }
+
+    // ─── Messages ────────────────────────────────────────────────────────────
+
+    const pluralRules = {};
+    function pluralCategory(lang, count) {
+        const locale = (language(lang) || language(DEFAULT_LANGUAGE)).locale;
+        if (!pluralRules[locale]) pluralRules[locale] = new Intl.PluralRules(locale);
+        return pluralRules[locale].select(count);
+    }
+
+    /**
+     * A message with its parameters filled in. `params` is an object or a
+     * function from a name to its value; a name with no value is left as {name}.
+     */
+    function format(message, params, lang = DEFAULT_LANGUAGE) {
+        const get = typeof params === 'function' ? params : (name) => (params || {})[name];
+        let text = message;
+        if (message && typeof message === 'object') {
+            const count = Number(get('count'));
+            text = message['=' + count] || message[pluralCategory(lang, count)] || message.other;
+        }
+        return String(text).replace(/\{(\w+)\}/g, (match, name) => {
+            const value = get(name);
+            return value === undefined || value === null ? match : String(value);
+        });
+    }
+
+    /**
+     * t(key, params) for a language: its catalogue, then the English one, and
+     * the key itself when neither has it (so a missing message shows up).
+     */
+    function translator(lang, messages, fallback = {}) {
+        const t = (key, params) => {
+            const has = (catalogue) => Object.prototype.hasOwnProperty.call(catalogue, key);
+            if (has(messages)) return format(messages[key], params, lang);
+            if (has(fallback)) return format(fallback[key], params, DEFAULT_LANGUAGE);
+            return key;
+        };
+        t.lang = lang;
+        t.locale = (language(lang) || language(DEFAULT_LANGUAGE)).locale;
+        return t;
+    }
+
+    // ─── Checking catalogues ─────────────────────────────────────────────────
+
+    const placeholders = (message) => {
+        const texts = message && typeof message === 'object' ? Object.values(message) : [message];
+        return [...new Set(texts.join(' ').match(/\{\w+\}/g) || [])].sort();
+    };
+
+    /**
+     * Problems with a catalogue compared with the English one: keys missing or
+     * unknown, different placeholders, and plural forms the language needs.
+     */
+    function checkCatalogue(lang, messages, english) {
+        const problems = [];
+        const categories = new Intl.PluralRules((language(lang) || {}).locale || lang).resolvedOptions().pluralCategories;
+        Object.keys(english).forEach(key => {
+            if (!Object.prototype.hasOwnProperty.call(messages, key)) {
+                problems.push(`missing "${key}"`);
+                return;
+            }
+            const message = messages[key];
+            const plural = english[key] && typeof english[key] === 'object';
+            if (plural !== Boolean(message && typeof message === 'object')) {
+                problems.push(`"${key}" should ${plural ? '' : 'not '}have plural forms`);
+                return;
+            }
+            if (plural) {
+                categories.filter(c => !message[c]).forEach(c => problems.push(`"${key}" has no "${c}" form`));
+            }
+            const want = placeholders(english[key]).join(' '), got = placeholders(message).join(' ');
+            if (want !== got) problems.push(`"${key}" uses ${got || 'no placeholders'} instead of ${want || 'none'}`);
+        });
+        Object.keys(messages).filter(key => !Object.prototype.hasOwnProperty.call(english, key))
+            .forEach(key => problems.push(`unknown key "${key}"`));
+        return problems;
+    }
+
+    // ─── In the browser ──────────────────────────────────────────────────────
+
+    // t() for `lang`, with its catalogue fetched from `base` (the site root)
+    function load(lang, base = '') {
+        const fetchCatalogue = (code) => fetch(`${base}locales/${code}.json`).then(res => {
+            if (!res.ok) throw new Error('HTTP ' + res.status);
+            return res.json();
+        });
+        const english = fetchCatalogue(DEFAULT_LANGUAGE);
+        const messages = lang === DEFAULT_LANGUAGE ? english : fetchCatalogue(lang).catch(() => ({}));
+        return Promise.all([messages, english]).then(([m, e]) => translator(lang, m, e));
+    }
+
+    return {
+        LANGUAGES,
+        DEFAULT_LANGUAGE,
+        STORAGE_KEY,
+        language,
+        pickLanguage,
+        pluralCategory,
+        format,
+        translator,
+        checkCatalogue,
+        load
+    };
+});
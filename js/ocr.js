@@ -0,0 +1,201 @@
+/**
+ * js/ocr.js
+ * The prescription scanner's OCR engine and photo clean-up, shared by
+ * index.html (window.MedOCR), sw.js (importScripts) and fetch-ocr.js
+ * (require('./js/ocr')), which downloads the engine into vendor/tesseract/.
+ *
+ * The engine is Tesseract.js with English and Hindi (Devanagari) trained data,
+ * served by the site itself. sw.js caches it when the scanner first loads it, so
+ * later scans work offline.
+ *
+ * Photos are cleaned up before recognition: greyscale, black and white by a
+ * threshold that follows the lighting across the page, and straightened when
+ * the text runs at a slight angle (deskew).
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.MedOCR = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    const DIR = 'vendor/tesseract/';
+    const LANGUAGES = ['eng', 'hin'];
+    // The files are pinned, so the cache only changes with the versions
+    const CACHE = 'generic-med-ocr-4.1.4-data-1.0.0';
+    // Roughly what a first scan downloads
+    const DOWNLOAD_MB = 9;
+
+    // Served from DIR and committed there; `source` is where fetch-ocr.js downloads
+    // each one from (the npm packages, through jsDelivr)
+    const FILES = [
+        { path: 'tesseract.min.js', source: 'https://cdn.jsdelivr.net/npm/tesseract.js@4.1.4/dist/tesseract.min.js' },
+        { path: 'worker.min.js', source: 'https://cdn.jsdelivr.net/npm/tesseract.js@4.1.4/dist/worker.min.js' },
+        { path: 'tesseract-core.wasm.js', source: 'https://cdn.jsdelivr.net/npm/tesseract.js-core@4.0.4/tesseract-core.wasm.js' },
+        ...LANGUAGES.map(lang => ({
+            path: `lang/${lang}.traineddata.gz`,
+            source: `https://cdn.jsdelivr.net/npm/@tesseract.js-data/${lang}@1.0.0/4.0.0_best_int/${lang}.traineddata.gz`
+        }))
+    ];
+
+    // Absolute URL of a file in DIR, relative to the site's `base` URL
+    function fileUrl(path, base) {
+        return new URL(DIR + path, base).href;
+    }
+
+    function fileUrls(base) {
+        return FILES.map(file => fileUrl(file.path, base));
+    }
+
+    // Tesseract.createWorker() options that load everything from the site
+    function workerOptions(base, logger) {
+        return {
+            workerPath: fileUrl('worker.min.js', base),
+            corePath: fileUrl('tesseract-core.wasm.js', base),
+            langPath: fileUrl('lang', base),
+            gzip: true,
+            workerBlobURL: false,
+            logger
+        };
+    }
+
+    // ─── Image clean-up ──────────────────────────────────────────────────────
+    // These work on ImageData-like { data (RGBA), width, height }, so they also run in Node
+
+    function toGray(image) {
+        const { data, width, height } = image;
+        const gray = new Uint8ClampedArray(width * height);
+        for (let i = 0; i < gray.length; i++) {
+            gray[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+        }
+        return gray;
+    }
+
+    /**
+     * Ink (1) and paper (0) for each pixel. A pixel is ink when it is clearly
+     * darker than its surroundings (`contrast`, 15%), measured over a window an
+     * eighth of the image wide, so shadows across a phone photo stay paper.
+     */
+    function threshold(gray, width, height, contrast = 0.15) {
+        const integral = new Float64Array((width + 1) * (height + 1));
+        for (let y = 0; y < height; y++) {
+            let row = 0;
+            for (let x = 0; x < width; x++) {
+                row += gray[y * width + x];
+                integral[(y + 1) * (width + 1) + x + 1] = integral[y * (width + 1) + x + 1] + row;
+            }
+        }
+        const half = Math.max(1, Math.round(width / 16));
+        const ink = new Uint8Array(width * height);
+        for (let y = 0; y < height; y++) {
+            const y0 = Math.max(0, y - half), y1 = Math.min(height, y + half + 1);
+            for (let x = 0; x < width; x++) {
+                const x0 = Math.max(0, x - half), x1 = Math.min(width, x + half + 1);
+                const sum = integral[y1 * (width + 1) + x1] - integral[y0 * (width + 1) + x1]
+                    - integral[y1 * (width + 1) + x0] + integral[y0 * (width + 1) + x0];
+                const mean = sum / ((x1 - x0) * (y1 - y0));
+                ink[y * width + x] = gray[y * width + x] < mean * (1 - contrast) ? 1 : 0;
+            }
+        }
+        return ink;
+    }
+
+    /**
+     * The angle (degrees, clockwise) the lines of text are rotated by, within
+     * ±maxAngle: the one at which the ink falls into the sharpest rows.
+     */
+    function estimateSkew(ink, width, height, maxAngle = 10, step = 0.5) {
+        const points = [];
+        for (let i = 0; i < ink.length; i++) if (ink[i]) points.push(i % width, Math.floor(i / width));
+        if (points.length === 0) return 0;
+        // Plenty of ink is as good as all of it
+        const stride = Math.max(1, Math.floor(points.length / 2 / 20000)) * 2;
+
+        const score = (angle) => {
+            const tan = Math.tan(angle * Math.PI / 180);
+            const offset = Math.ceil(Math.abs(tan) * width);
+            const rows = new Float64Array(height + 2 * offset + 1);
+            for (let i = 0; i < points.length; i += stride) {
+                rows[Math.round(points[i + 1] - points[i] * tan) + offset]++;
+            }
+            return rows.reduce((sum, n) => sum + n * n, 0);
+        };
+
+        let best = 0, bestScore = score(0);
+        for (let angle = -maxAngle; angle <= maxAngle + 1e-9; angle += step) {
+            const s = score(angle);
+            if (s > bestScore) { best = angle; bestScore = s; }
+        }
+        return Math.round(best * 10) / 10;
+    }
+
+    // ─── In the browser ──────────────────────────────────────────────────────
+
+    function canvasOf(width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+
+    function loadImage(file) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            const url = URL.createObjectURL(file);
+            img.onload = () => { URL.revokeObjectURL(url); resolve(img); };
+            img.onerror = () => { URL.revokeObjectURL(url); reject(new Error('Could not open the image.')); };
+            img.src = url;
+        });
+    }
+
+    /**
+     * A photo (File or Blob) as a straightened black-and-white canvas for
+     * recognition: { canvas, skew }. Large photos are scaled down to 2000px on
+     * the long side and small ones up to 1200px, where Tesseract reads best.
+     */
+    async function prepareImage(file) {
+        const img = await loadImage(file);
+        const long = Math.max(img.width, img.height);
+        const scale = long > 2000 ? 2000 / long : long < 1200 ? Math.min(2, 1200 / long) : 1;
+        const width = Math.round(img.width * scale), height = Math.round(img.height * scale);
+
+        // The angle is found on a small copy, where it is quick and just as clear
+        const small = Math.min(1, 600 / Math.max(width, height));
+        const preview = canvasOf(Math.round(width * small), Math.round(height * small));
+        preview.getContext('2d').drawImage(img, 0, 0, preview.width, preview.height);
+        const previewData = preview.getContext('2d').getImageData(0, 0, preview.width, preview.height);
+        const skew = estimateSkew(threshold(toGray(previewData), preview.width, preview.height), preview.width, preview.height);
+
+        const canvas = canvasOf(width, height);
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#fff';
+        ctx.fillRect(0, 0, width, height);
+        ctx.translate(width / 2, height / 2);
+        ctx.rotate(-skew * Math.PI / 180);
+        ctx.drawImage(img, -width / 2, -height / 2, width, height);
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+
+        const image = ctx.getImageData(0, 0, width, height);
+        const ink = threshold(toGray(image), width, height);
+        for (let i = 0; i < ink.length; i++) {
+            const v = ink[i] ? 0 : 255;
+            image.data[i * 4] = image.data[i * 4 + 1] = image.data[i * 4 + 2] = v;
+            image.data[i * 4 + 3] = 255;
+        }
+        ctx.putImageData(image, 0, 0);
+        return { canvas, skew };
+    }
+
+    return {
+        DIR,
+        LANGUAGES,
+        CACHE,
+        DOWNLOAD_MB,
+        FILES,
+        fileUrl,
+        fileUrls,
+        workerOptions,
+        toGray,
+        threshold,
+        estimateSkew,
+        prepareImage
+    };
+});
@@ -0,0 +1,340 @@
+/**
+ * js/prescription.js
+ * Turns the OCR text of a prescription into line items and matches them to
+ * the catalogue, shared by index.html (window.MedPrescription) and
+ * check-prescriptions.js (require('./js/prescription')), which runs it over
+ * the samples in fixtures/prescriptions/. Depends on js/search.js and
+ * js/substitution.js.
+ *
+ *   parse('1. Tab. Glycomet 500mg  1-0-1 x 30 days  after food')
+ *   → [{ form: 'tablet', name: 'Glycomet', strength: '500mg', dose: null,
+ *        frequency: { text: '1-0-1', perDay: 2 }, days: 30, ongoing: false,
+ *        instructions: 'after food', raw: '...' }]
+ *
+ * Frequencies are dose slots (1-0-1, 1-1-1-1, ½-0-½) or the usual
+ * abbreviations (OD, BD, TDS, QID, HS, SOS, Q8H...); durations are "x 5 days",
+ * "for 2 weeks", "5/7" or "continue"; `dose` is a volume to take ("5ml") when
+ * the line gives one. Lines with no medicine name (a frequency or duration on
+ * its own) fill in the item above them.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory(require('./search'), require('./substitution'));
+    else root.MedPrescription = factory(root.MedSearch, root.MedSubstitution);
+})(typeof self !== 'undefined' ? self : this, function (MedSearch, MedSubstitution) {
+
+    // Dosage form written before the name: "Tab.", "T.", "Cap", "Syp", "Inj"...
+    const FORM_PREFIX = /^(tabs?|tablets?|t|caps?|capsules?|c|syp|syr|syrup|susp|suspension|inj|injection|oint|ointment|cream|gel|lotion|drops?|gtt|e\/d|inh|inhaler|rotacaps?|sachet|sach)\b\.?\s*/i;
+    const FORMS = {
+        tab: 'tablet', tabs: 'tablet', tablet: 'tablet', tablets: 'tablet', t: 'tablet',
+        cap: 'capsule', caps: 'capsule', capsule: 'capsule', capsules: 'capsule', c: 'capsule',
+        syp: 'syrup', syr: 'syrup', syrup: 'syrup', susp: 'syrup', suspension: 'syrup',
+        inj: 'injection', injection: 'injection',
+        oint: 'topical', ointment: 'topical', cream: 'topical', gel: 'topical', lotion: 'topical',
+        drop: 'drops', drops: 'drops', gtt: 'drops', 'e/d': 'drops',
+        inh: 'inhaler', inhaler: 'inhaler', rotacap: 'inhaler', rotacaps: 'inhaler',
+        sachet: 'sachet', sach: 'sachet'
+    };
+
+    // Doses a day for each abbreviation (null: only when needed)
+    const FREQUENCIES = {
+        od: 1, qd: 1, hs: 1, stat: 1, bd: 2, bid: 2, tds: 3, tid: 3, qid: 4, qds: 4,
+        q4h: 6, q6h: 4, q8h: 3, q12h: 2, sos: null, prn: null
+    };
+    const FREQUENCY_WORDS = [
+        { pattern: /\bonce\s+(?:a\s+|per\s+)?(?:daily|day)\b/i, perDay: 1 },
+        { pattern: /\btwice\s+(?:a\s+|per\s+)?(?:daily|day)\b/i, perDay: 2 },
+        { pattern: /\b(?:thrice|three\s+times)\s+(?:a\s+|per\s+)?(?:daily|day)\b/i, perDay: 3 },
+        { pattern: /\bfour\s+times\s+(?:a\s+|per\s+)?(?:daily|day)\b/i, perDay: 4 },
+        { pattern: /\b(?:once\s+(?:a\s+)?week(?:ly)?|weekly)\b/i, perDay: 1 / 7 },
+        { pattern: /\b(?:on\s+)?alternate\s+days?\b/i, perDay: 0.5 },
+        { pattern: /\bevery\s+(\d+)\s*(?:hours?|hrs?|h)\b/i, perDay: (m) => 24 / +m[1] },
+        { pattern: /\b(?:daily|once)\b/i, perDay: 1 }
+    ];
+    const ABBREVIATION = /\b(od|qd|hs|stat|bd|bid|tds|tid|qid|qds|q\s?(?:4|6|8|12)\s?h|sos|prn)\b/i;
+    // 1-0-1, 1-1-1-1, ½-0-½, 1/2-0-1/2
+    const SLOT = '(?:\\d\\/\\d|\\d\\.5|½|\\d)';
+    const SLOTS = new RegExp(`(?:^|\\s|\\()(${SLOT})\\s*[-–—]\\s*(${SLOT})\\s*[-–—]\\s*(${SLOT})(?:\\s*[-–—]\\s*(${SLOT}))?(?=$|[\\s),.;x×*])`);
+
+    const DURATION = /(?:\b(?:x|for)\s*|[×*]\s*)?(\d+)\s*(days?|d|weeks?|wks?|w|months?|mths?|m)\b\.?/i;
+    const DURATION_FRACTION = /\b(\d+)\s*\/\s*(7|52|12)\b/;
+    const DURATION_BARE = /(?:\bx|[×*])\s*(\d+)\b(?!\s*(?:mg|mcg|ml|g|iu|%))/i;
+    const ONGOING = /\b(?:cont(?:inue|d)?|ongoing|long\s*term|to\s+continue)\b\.?/i;
+    const INSTRUCTIONS = /\b(?:(?:after|before|with)\s+(?:food|meals?|breakfast|lunch|dinner)|empty\s+stomach|at\s+bed\s*time|at\s+night|in\s+the\s+morning)\b/gi;
+
+    // "2 puffs", "1 drop", "½ tab": how much to take, counted
+    const COUNTED_DOSE = /(?:^|\s)(\d+(?:\.\d+)?|½)\s*(puffs?|drops?|tabs?|tablets?|caps?|capsules?|sachets?|tsp|teaspoons?)\b\.?/i;
+    // How it is taken, not part of the name
+    const ROUTE = /\b(?:apply|applied|locally|local|sc|s\/c|iv|i\/v|im|i\/m|orally|po|sl|sublingual)\b/gi;
+    // A form written after the name: "Seroflo 250 inhaler"
+    const FORM_SUFFIX = /\s(tablets?|capsules?|syrup|suspension|injection|ointment|cream|gel|lotion|drops?|inhaler|rotacaps?)\s*$/i;
+
+    const STRENGTH = /(\d+(?:\.\d+)?(?:\s*[\/+]\s*\d+(?:\.\d+)?)*)\s*(mg|mcg|µg|gm|g|ml|iu|%)(?:\s*\/\s*(\d*\s*(?:ml|g)))?(?![a-z])/i;
+
+    // Item numbers, which OCR may read as "l." or "I)"
+    const NUMBERING = /^\(?(?:\d{1,2}|[lI])\s*[.)\]:-]\s*(?=[a-z])/i;
+
+    // Lines that belong to the letterhead or the patient details, not the medicines
+    const HEADER = /^(?:name|patient|pt|age|sex|gender|date|dated|dr|doctor|reg(?:n|d)?|registration|phone|ph|mob(?:ile)?|tel|address|addr|diagnosis|dx|c\/o|complaints?|hospital|clinic|signature|sign|advice|adv|follow|review|next\s+visit|bp|weight|wt|temp|pulse|spo2|uhid|ip|op|opd|ref)\b/i;
+    const LETTERHEAD = /\b(?:mbbs|m\.?d\.?|m\.?s\.?|frcs|dnb|clinic|hospital|nursing home|medical cent(?:re|er)|timings?|www\.|@)\b/i;
+
+    // "B.D." → "BD", "T.D.S" → "TDS"
+    function joinAbbreviations(text) {
+        return text.replace(/\b((?:[a-z]\.){1,3}[a-z]?)(?=[\s,;)]|$)/gi, (m) => m.replace(/\./g, ''));
+    }
+
+    // OCR reads 0 as O and 1 as l or I in dose slots: "1-O-1", "l-0-l"
+    function fixSlots(text) {
+        return text.replace(/(^|[\s(])([01lIoO½])\s*[-–—]\s*([01lIoO½])\s*[-–—]\s*([01lIoO½])(?=$|[\s),.;x×*-])/g,
+            (m, lead, a, b, c) => lead + [a, b, c].map(d => d.replace(/[lI]/, '1').replace(/[oO]/, '0')).join('-'));
+    }
+
+    function slotValue(slot) {
+        if (!slot) return 0;
+        if (slot === '½') return 0.5;
+        if (slot.includes('/')) {
+            const [n, d] = slot.split('/');
+            return +d ? +n / +d : 0;
+        }
+        return +slot;
+    }
+
+    /**
+     * The frequency in `text`, as { text, perDay, index } (index: where it
+     * starts), or null. Dose slots win over abbreviations, so a name like
+     * "Ambroxol OD" followed by "1-0-0" keeps its OD.
+     */
+    function parseFrequency(text) {
+        const slots = text.match(SLOTS);
+        if (slots) {
+            const values = slots.slice(1).filter(Boolean);
+            return {
+                text: values.join('-'),
+                perDay: values.reduce((sum, v) => sum + slotValue(v), 0),
+                index: slots.index + slots[0].indexOf(slots[1])
+            };
+        }
+        const abbreviation = text.match(ABBREVIATION);
+        if (abbreviation) {
+            const key = abbreviation[1].toLowerCase().replace(/\s/g, '');
+            return { text: abbreviation[1].toUpperCase().replace(/\s/g, ''), perDay: FREQUENCIES[key], index: abbreviation.index };
+        }
+        for (const word of FREQUENCY_WORDS) {
+            const m = text.match(word.pattern);
+            if (m) {
+                const perDay = typeof word.perDay === 'function' ? word.perDay(m) : word.perDay;
+                return { text: m[0].trim(), perDay: Math.round(perDay * 1000) / 1000, index: m.index };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * The course length in `text`: { days, ongoing, index }, or null.
+     * "x 5 days" → 5, "2 weeks" → 14, "5/7" → 5, "1/12" → 30, "continue" → ongoing.
+     */
+    function parseDuration(text) {
+        const m = text.match(DURATION);
+        if (m) {
+            const unit = m[2].toLowerCase()[0];
+            const days = +m[1] * (unit === 'w' ? 7 : unit === 'm' ? 30 : 1);
+            return { days, ongoing: false, index: m.index };
+        }
+        const fraction = text.match(DURATION_FRACTION);
+        if (fraction) {
+            const per = { 7: 1, 52: 7, 12: 30 }[fraction[2]];
+            return { days: +fraction[1] * per, ongoing: false, index: fraction.index };
+        }
+        const bare = text.match(DURATION_BARE);
+        if (bare) return { days: +bare[1], ongoing: false, index: bare.index };
+        const ongoing = text.match(ONGOING);
+        if (ongoing) return { days: null, ongoing: true, index: ongoing.index };
+        return null;
+    }
+
+    // "500mg", "500/125mg", "10mg/5ml"
+    function parseStrength(text) {
+        const m = text.match(STRENGTH);
+        if (!m) return null;
+        const unit = m[2].toLowerCase().replace('µg', 'mcg').replace(/^gm$/, 'g');
+        return { text: m[1].replace(/\s/g, '') + unit + (m[3] ? '/' + m[3].replace(/\s/g, '') : ''), index: m.index, length: m[0].length };
+    }
+
+    function isHeader(line) {
+        return HEADER.test(line) || LETTERHEAD.test(line) || !/[a-z]{2}/i.test(line);
+    }
+
+    /**
+     * One prescription line as an item, or null when it has nothing to do
+     * with a medicine. An item with an empty name continues the one before.
+     */
+    function parseLine(rawLine) {
+        let line = rawLine.trim().replace(/^(?:rx\b\.?:?\s*|℞\s*)/i, '');
+        const numbered = NUMBERING.test(line);
+        line = fixSlots(joinAbbreviations(line.replace(NUMBERING, '')));
+        if (!line || (!numbered && isHeader(line))) return null;
+
+        let form = null;
+        const prefix = line.match(FORM_PREFIX);
+        // A lone "T" or "C" only counts as a form when a name follows
+        if (prefix && (prefix[1].length > 1 || /^[tc]\.\s*\S|^[tc]\s+[a-z]/i.test(line))) {
+            form = FORMS[prefix[1].toLowerCase()] || null;
+            line = line.slice(prefix[0].length);
+        }
+
+        const frequency = parseFrequency(line);
+        const duration = parseDuration(line);
+        const instructions = (line.match(INSTRUCTIONS) || []).map(s => s.toLowerCase().replace(/\s+/g, ' '));
+
+        // The name runs up to the first frequency, duration or instruction
+        let end = line.length;
+        [frequency, duration].forEach(found => { if (found && found.index < end) end = found.index; });
+        INSTRUCTIONS.lastIndex = 0;
+        const firstInstruction = INSTRUCTIONS.exec(line);
+        if (firstInstruction && firstInstruction.index < end) end = firstInstruction.index;
+        let namePart = line.slice(0, end);
+
+        // A plain volume ("10ml", "2.5 ml") is how much to take; "250mg/5ml" is a strength
+        let strength = parseStrength(namePart);
+        let dose = null;
+        if (strength) namePart = namePart.slice(0, strength.index) + ' ' + namePart.slice(strength.index + strength.length);
+        if (strength && /^[\d.]+ml$/.test(strength.text)) {
+            dose = strength.text;
+            strength = parseStrength(namePart);
+            if (strength) namePart = namePart.slice(0, strength.index) + ' ' + namePart.slice(strength.index + strength.length);
+        }
+        const counted = namePart.match(COUNTED_DOSE);
+        if (counted) {
+            dose = dose || `${counted[1]} ${counted[2].toLowerCase()}`;
+            namePart = namePart.slice(0, counted.index) + ' ' + namePart.slice(counted.index + counted[0].length);
+        }
+        namePart = namePart.replace(ROUTE, ' ');
+        const suffix = namePart.trim().match(FORM_SUFFIX) || (' ' + namePart.trim()).match(FORM_SUFFIX);
+        if (suffix) {
+            const word = suffix[1].toLowerCase();
+            form = form || FORMS[word] || FORMS[word.replace(/s$/, '')] || null;
+            // "Moxiflox Eye Drops" is the brand's name; only a lone form word goes
+            if (!/\b(?:eye|ear|nasal)\b/i.test(namePart)) namePart = namePart.trim().replace(FORM_SUFFIX, '');
+        }
+        const name = namePart
+            .replace(/\([^)]*\)?/g, ' ')
+            .replace(/[^a-z0-9\s+\-]/gi, ' ')
+            .replace(/\s+/g, ' ')
+            .replace(/^[\s\-+]+|[\s\-+]+$/g, '');
+
+        const hasDetails = frequency || duration || strength || dose || form || instructions.length;
+        if (!/[a-z]{3}/i.test(name) && !hasDetails) return null;
+        // A name with nothing else on the line is only a medicine when it was numbered or had a form
+        if (name && !hasDetails && !numbered) return null;
+
+        return {
+            raw: rawLine.trim(),
+            form,
+            name: /[a-z]{2}/i.test(name) ? name : '',
+            strength: strength ? strength.text : null,
+            dose,
+            frequency: frequency ? { text: frequency.text, perDay: frequency.perDay } : null,
+            days: duration ? duration.days : null,
+            ongoing: duration ? duration.ongoing : false,
+            instructions: instructions.join(', ')
+        };
+    }
+
+    /**
+     * Parse a whole prescription: the medicine line items in order, with
+     * detail-only lines ("1-0-1 x 5 days") merged into the item above.
+     */
+    function parse(text) {
+        const items = [];
+        String(text || '').split(/\r?\n/).forEach(rawLine => {
+            const item = parseLine(rawLine);
+            if (!item) return;
+            const previous = items[items.length - 1];
+            if (!item.name) {
+                if (!previous) return;
+                if (!previous.strength) previous.strength = item.strength;
+                if (!previous.dose) previous.dose = item.dose;
+                if (!previous.frequency) previous.frequency = item.frequency;
+                if (previous.days === null && !previous.ongoing) {
+                    previous.days = item.days;
+                    previous.ongoing = item.ongoing;
+                }
+                if (item.instructions) previous.instructions = [previous.instructions, item.instructions].filter(Boolean).join(', ');
+                previous.raw += '\n' + item.raw;
+                return;
+            }
+            items.push(item);
+        });
+        return items;
+    }
+
+    // ─── Matching ────────────────────────────────────────────────────────────
+
+    // How alike two words are, 0-1
+    function wordSimilarity(a, b) {
+        if (a === b) return 1;
+        const longest = Math.max(a.length, b.length);
+        return 1 - MedSearch.editDistance(a, b, longest) / longest;
+    }
+
+    // How well the words of `query` are found in `target` (mostly) and the other way
+    // round; numbers are left to the strength check
+    function nameSimilarity(query, target) {
+        const words = (text) => MedSearch.tokenize(text).filter(w => !/^\d/.test(w));
+        const q = words(query);
+        const t = words(target);
+        if (!q.length || !t.length) return 0;
+        const coverage = (from, to) => from.reduce((sum, w) => sum + Math.max(...to.map(x => wordSimilarity(w, x))), 0) / from.length;
+        return 0.8 * coverage(q, t) + 0.2 * coverage(t, q);
+    }
+
+    function strengthNumbers(text) {
+        return (String(text || '').match(/\d+(?:\.\d+)?/g) || []).map(Number);
+    }
+
+    /**
+     * Catalogue medicines an item could be, best first:
+     * [{ med, confidence (0-1), strengthMismatch }]. The name is searched
+     * with js/search.js, dropping words from the end when nothing is found.
+     */
+    function matchItem(item, index, medicines, limit = 3) {
+        const words = MedSearch.tokenize(item.name);
+        let results = [];
+        for (let n = words.length; n > 0 && results.length === 0; n--) {
+            results = MedSearch.search(index, medicines, words.slice(0, n).join(' '));
+        }
+        // "Dolo 650" states its strength in the name
+        const wanted = strengthNumbers(item.strength).concat(strengthNumbers(item.name));
+        return results.slice(0, 8).map((r, rank) => {
+            let confidence = Math.max(nameSimilarity(item.name, r.med.brand), nameSimilarity(item.name, r.med.generic) * 0.9);
+            let strengthMismatch = false;
+            if (wanted.length) {
+                const has = MedSubstitution.strengthsOf(r.med).map(s => s.value);
+                if (has.length) {
+                    if (wanted.some(v => has.includes(v))) confidence += 0.1;
+                    else { confidence -= 0.25; strengthMismatch = true; }
+                }
+            }
+            return { med: r.med, confidence, strengthMismatch, rank };
+        })
+            // Search order breaks ties
+            .sort((a, b) => b.confidence - a.confidence || a.rank - b.rank)
+            .slice(0, limit)
+            .map(c => ({ med: c.med, confidence: Math.round(Math.max(0, Math.min(1, c.confidence)) * 100) / 100, strengthMismatch: c.strengthMismatch }));
+    }
+
+    // 'high' (0.8+), 'medium' (0.5+) or 'low'
+    function confidenceLevel(confidence) {
+        return confidence >= 0.8 ? 'high' : confidence >= 0.5 ? 'medium' : 'low';
+    }
+
+    return {
+        FORMS,
+        parse,
+        parseLine,
+        parseFrequency,
+        parseDuration,
+        parseStrength,
+        matchItem,
+        confidenceLevel
+    };
+});
@@ -0,0 +1,241 @@
+/**
+ * js/price.js
+ * Structured price model shared by index.html (window.MedPrice) and the
+ * Node build tools (require('./js/price')).
+ *
+ * A medicine's `price` describes one pack:
+ *   { min: 15, max: 30, pack: "strip", units: 10, unit: "tablet", strength: "500mg" }
+ * An alternative's `price` is { min, max } for the same pack as the brand,
+ * unless it sets its own `pack` / `units` / `unit`.
+ * Entries the migration could not parse keep their original text in `note`.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.MedPrice = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    // Units counted per item (pluralised); the rest are measures (100ml, 30g)
+    const COUNT_UNITS = ['tablet', 'capsule', 'dose', 'sachet'];
+    const PACKS = ['strip', 'bottle', 'tube', 'inhaler', 'sachet', 'tablet', 'pack', 'box',
+        'vial', 'pen', 'cartridge', 'injection', 'cycle', 'respule', 'ampoule'];
+
+    function plural(unit, count) {
+        return COUNT_UNITS.includes(unit) && count !== 1 ? unit + 's' : unit;
+    }
+
+    function formatAmount(value) {
+        if (value < 10 && value % 1 !== 0) return '₹' + value.toFixed(2);
+        return '₹' + Math.round(value).toLocaleString('en-IN');
+    }
+
+    function formatRange(price) {
+        return `₹${price.min}-${price.max}`;
+    }
+
+    // "strip (500mg, 10 tablets)", "tube (30g)", "tablet"
+    function formatPack(price) {
+        const details = [];
+        if (price.strength) details.push(price.strength);
+        if (price.units && !(price.units === 1 && price.unit === price.pack)) {
+            details.push(COUNT_UNITS.includes(price.unit)
+                ? `${price.units} ${plural(price.unit, price.units)}`
+                : `${price.units}${price.unit}`);
+        }
+        return details.length ? `${price.pack} (${details.join(', ')})` : price.pack;
+    }
+
+    // "₹15-30 per strip (10 tablets)"
+    function formatPrice(price) {
+        if (!price) return '';
+        if (price.note) return price.note;
+        return `${formatRange(price)} per ${formatPack(price)}`;
+    }
+
+    // "₹8-12", or "₹8-12 per strip (15 tablets)" when the alternative has its own pack
+    function formatAltPrice(price) {
+        if (!price) return '';
+        return price.pack ? `${formatRange(price)} per ${formatPack(price)}` : formatRange(price);
+    }
+
+    /**
+     * Lowest cost of one unit (tablet, ml, g, dose...).
+     * `reference` is the brand price an alternative inherits its pack from.
+     * Returns { value, unit } or null when the pack size is unknown.
+     */
+    function unitCost(price, reference) {
+        if (!price) return null;
+        const source = price.pack || !reference ? price : reference;
+        if (!source.units || !source.unit) return null;
+        return { value: price.min / source.units, unit: source.unit };
+    }
+
+    // "₹1.50/tablet"
+    function formatUnitCost(cost) {
+        return cost ? `${formatAmount(cost.value)}/${cost.unit}` : '';
+    }
+
+    /**
+     * Lowest cost of taking a medicine for `days` days: one unit a day for
+     * tablets, capsules, doses and sachets when the pack size is known,
+     * otherwise one pack a month (as savings() assumes for perYear).
+     * Returns { value, basis: 'unit' | 'pack' } or null without a price.
+     */
+    function costOver(price, reference, days) {
+        if (!price || !(price.min > 0)) return null;
+        const cost = unitCost(price, reference);
+        if (cost && COUNT_UNITS.includes(cost.unit)) return { value: cost.value * days, basis: 'unit' };
+        return { value: price.min * days / 30, basis: 'pack' };
+    }
+
+    /**
+     * Cost of following a dosage schedule for `days` days, buying whole packs.
+     * `schedule` is { perDay, packDays }: units taken a day (2 tablets, 10ml, 4
+     * doses), or, when the pack size is unknown, how many days one pack lasts.
+     *   scheduleCost({ min: 15, units: 10, unit: 'tablet', ... }, null, { perDay: 2 }, 30)
+     *   → { packs: 6, value: 90 }
+     * Returns null without a price.
+     */
+    function scheduleCost(price, reference, schedule, days) {
+        if (!price || !(price.min > 0)) return null;
+        const source = price.pack || !reference ? price : reference;
+        // Tolerance keeps 60 tablets from 15-tablet strips at 4 packs despite rounding
+        const packs = source.units
+            ? Math.ceil((schedule.perDay || 0) * days / source.units - 1e-9)
+            : Math.ceil(days / (schedule.packDays || 30) - 1e-9);
+        return { packs, value: packs * price.min };
+    }
+
+    /**
+     * Savings from switching `med` to `alt` (defaults to the first alternative).
+     * Compares per-unit cost when both pack sizes are known, otherwise per pack
+     * (only when the alternative is priced for the brand's own pack).
+     */
+    function savings(med, alt = med.alternatives && med.alternatives[0]) {
+        const none = { perPack: 0, perYear: 0, percent: 0, perUnit: 0, unit: null };
+        if (!alt || !med.price || !alt.price || !(med.price.min > 0) || !(alt.price.min > 0)) return none;
+
+        const brandUnit = unitCost(med.price);
+        const altUnit = unitCost(alt.price, med.price);
+        let perPack, percent, perUnit = 0, unit = null;
+
+        if (brandUnit && altUnit) {
+            if (brandUnit.unit !== altUnit.unit) return none;
+            perUnit = brandUnit.value - altUnit.value;
+            unit = brandUnit.unit;
+            perPack = perUnit * med.price.units;
+            percent = perUnit / brandUnit.value;
+        } else if (!alt.price.pack) {
+            perPack = med.price.min - alt.price.min;
+            percent = perPack / med.price.min;
+        } else {
+            return none;
+        }
+
+        return {
+            perPack: Math.round(perPack),
+            perYear: Math.round(perPack * 12),
+            percent: Math.round(percent * 100),
+            perUnit,
+            unit
+        };
+    }
+
+    // ─── Parsing free-text prices (migration and imports) ────────────────────
+
+    const RANGE_RE = /^₹(\d+(?:\.\d+)?)-(\d+(?:\.\d+)?)$/;
+
+    function singularUnit(word) {
+        const w = word.toLowerCase().replace(/^chewable\s+/, '');
+        const match = COUNT_UNITS.find(u => w === u || w === u + 's');
+        return match || null;
+    }
+
+    // Liquids are sold by the bottle: "100ml syrup" is a 100ml bottle
+    function packName(word) {
+        const w = word.toLowerCase();
+        return ['syrup', 'solution'].includes(w) ? 'bottle' : w;
+    }
+
+    // "10 tablets" | "200 doses" | "30g" | "100ml syrup" | "500mg" | "60000 IU"
+    function parseDetail(detail, out) {
+        let m;
+        if ((m = detail.match(/^(\d+)\s+((?:chewable\s+)?[a-z]+)$/i)) && singularUnit(m[2])) {
+            out.units = +m[1];
+            out.unit = singularUnit(m[2]);
+        } else if ((m = detail.match(/^(\d+(?:\.\d+)?)\s*(ml|g)(?:\s+(?:syrup|solution))?$/i))) {
+            out.units = +m[1];
+            out.unit = m[2].toLowerCase();
+        } else if ((m = detail.match(/^(\d+(?:\.\d+)?)\s*(mg|mcg|IU)$/i))) {
+            out.strength = m[2] === 'IU' ? `${m[1]} IU` : m[1] + m[2].toLowerCase();
+        } else {
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Parse a brand price string such as "₹15-30 per strip (10 tablets)".
+     * Returns { price, problem } where `problem` explains why the text could
+     * only be partly understood (the original is then kept in price.note).
+     */
+    function parsePriceRange(text) {
+        const str = String(text || '').trim();
+        const head = str.match(/^₹(\d+(?:\.\d+)?)-(\d+(?:\.\d+)?) per (.+)$/);
+        if (!head) return { price: null, problem: 'no "₹min-max per pack" price' };
+
+        const price = { min: +head[1], max: +head[2] };
+        const flag = (problem) => {
+            const word = (head[3].match(/^(?:\d+(?:\.\d+)?(?:ml|g)\s+)?([a-z]+)/i) || [])[1];
+            if (word && PACKS.includes(packName(word))) price.pack = packName(word);
+            price.note = str;
+            return { price, problem };
+        };
+
+        if (str.includes(' / ') || str.includes('₹', 1)) return flag('several prices in one entry');
+
+        const rest = head[3];
+        let m;
+        // "30g tube", "100ml bottle", "150-dose bottle", "100ml syrup", "15ml"
+        if ((m = rest.match(/^(\d+(?:\.\d+)?)(ml|g)(?:\s+([a-z]+))?$/i))) {
+            price.pack = packName(m[3] || 'bottle');
+            price.units = +m[1];
+            price.unit = m[2].toLowerCase();
+        } else if ((m = rest.match(/^(\d+)-dose\s+([a-z]+)$/i))) {
+            price.pack = m[2].toLowerCase();
+            price.units = +m[1];
+            price.unit = 'dose';
+        } else if ((m = rest.match(/^([a-z]+)(?:\s+\((.+)\))?$/i))) {
+            price.pack = m[1].toLowerCase();
+            const details = m[2] ? m[2].split(/\s*,\s*/) : [];
+            if (details.some(d => !parseDetail(d, price))) return flag(`unrecognised pack details "(${m[2]})"`);
+        } else {
+            return flag(`unrecognised pack "${rest}"`);
+        }
+
+        if (!PACKS.includes(price.pack)) return flag(`unknown pack type "${price.pack}"`);
+        if (price.pack === 'tablet' && !price.units) {
+            price.units = 1;
+            price.unit = 'tablet';
+        }
+        return { price, problem: null };
+    }
+
+    // "₹8-12" → { min: 8, max: 12 }
+    function parseAltPrice(text) {
+        const m = String(text || '').trim().match(RANGE_RE);
+        return m ? { min: +m[1], max: +m[2] } : null;
+    }
+
+    return {
+        formatAmount,
+        formatPrice,
+        formatAltPrice,
+        formatUnitCost,
+        unitCost,
+        costOver,
+        scheduleCost,
+        savings,
+        parsePriceRange,
+        parseAltPrice
+    };
+});
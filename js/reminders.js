@@ -0,0 +1,263 @@
+/**
+ * js/reminders.js
+ * Medicine reminders, shared by index.html (window.MedReminders) and sw.js
+ * (importScripts), which shows them while the site is closed. Depends on
+ * js/store.js.
+ *
+ * A reminder is one medicine taken at set times every day:
+ *   { id, medicine: "Glycomet", times: ["08:00", "20:00"], snoozed: [dose...],
+ *     created: <ms>, stock: { units: 28, at: <ms> } | null }
+ * and each time on each day is a dose:
+ *   { reminderId, medicine, date: "2026-10-19", time: "08:00", at: <ms> }
+ * A snoozed dose keeps its date and time but comes back at a later `at`.
+ * `stock` is how many doses were on hand at `at`, for the refill forecast.
+ *
+ * What became of each dose goes in the dose log:
+ *   { key, reminderId, medicine, date, time, status: "taken" | "skipped" | "snoozed", at: <ms> }
+ *
+ * Reminders and the dose log are kept by js/store.js, in IndexedDB where the
+ * page and the service worker can both reach them, or in localStorage where
+ * there is no IndexedDB (then only the page can show them).
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory(require('./store'));
+    else root.MedReminders = factory(root.MedStore);
+})(typeof self !== 'undefined' ? self : this, function (MedStore) {
+
+    const DAY = 24 * 60 * 60 * 1000;
+    // Tag of the periodic background sync that checks for due doses
+    const SYNC_TAG = 'med-reminders';
+    // A dose found more than this late (the device was off) is not shown any more
+    const LATE_LIMIT = 2 * 60 * 60 * 1000;
+    const SNOOZE_MINUTES = 15;
+    // How many days before a medicine runs out to suggest buying more
+    const REFILL_NUDGE_DAYS = 5;
+
+    // Hours after the first dose of each repeat option in the reminder form
+    const REPEATS = { daily: [0], twice: [0, 12], thrice: [0, 6, 12] };
+
+    function pad(n) {
+        return String(n).padStart(2, '0');
+    }
+
+    // "09:00", 'twice' → ["09:00", "21:00"]
+    function timesFor(time, repeat) {
+        const [h, m] = time.split(':').map(Number);
+        return (REPEATS[repeat] || REPEATS.daily).map(offset => `${pad((h + offset) % 24)}:${pad(m)}`)
+            .sort();
+    }
+
+    // A reminder in the current shape; older ones had a single `time` and a `repeat`.
+    // Ids are creation times, which is when doses start counting.
+    function normalize(reminder) {
+        return {
+            id: reminder.id,
+            medicine: reminder.medicine,
+            times: reminder.times ? reminder.times.slice().sort() : timesFor(reminder.time, reminder.repeat),
+            snoozed: reminder.snoozed || [],
+            created: reminder.created || reminder.id,
+            stock: reminder.stock || null
+        };
+    }
+
+    // Local calendar date of a timestamp, "2026-10-19"
+    function localDate(ms) {
+        const d = new Date(ms);
+        return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+    }
+
+    function doseKey(dose) {
+        return `${dose.reminderId}|${dose.date}|${dose.time}`;
+    }
+
+    /**
+     * Every dose of `reminders` due after `from` and up to `to` (timestamps),
+     * snoozed ones included, soonest first.
+     */
+    function dosesBetween(reminders, from, to) {
+        const doses = [];
+        reminders.forEach(r => {
+            const day = new Date(from);
+            day.setHours(0, 0, 0, 0);
+            for (; day.getTime() <= to; day.setDate(day.getDate() + 1)) {
+                r.times.forEach(time => {
+                    const [h, m] = time.split(':').map(Number);
+                    const at = new Date(day.getFullYear(), day.getMonth(), day.getDate(), h, m).getTime();
+                    if (at > from && at <= to) doses.push({ reminderId: r.id, medicine: r.medicine, date: localDate(at), time, at });
+                });
+            }
+            r.snoozed.forEach(dose => {
+                if (dose.at > from && dose.at <= to) doses.push(dose);
+            });
+        });
+        return doses.sort((a, b) => a.at - b.at);
+    }
+
+    // ─── Dose log ────────────────────────────────────────────────────────────
+
+    // Taken and skipped doses are done with; a snoozed one comes back
+    function settled(entry) {
+        return Boolean(entry) && (entry.status === 'taken' || entry.status === 'skipped');
+    }
+
+    function startOfDay(ms) {
+        const d = new Date(ms);
+        d.setHours(0, 0, 0, 0);
+        return d.getTime();
+    }
+
+    /**
+     * The dose calendar from local midnight `start` for `days` days: one row
+     * per reminder and dose time, { reminder, time, cells: [{ date, at, status }] },
+     * status being the logged one, 'missed' for a past dose with none,
+     * 'upcoming' for one still to come and null before the reminder was set.
+     */
+    function doseCalendar(reminders, log, start, days, now) {
+        const byKey = new Map(log.map(entry => [entry.key, entry]));
+        const rows = [];
+        reminders.forEach(reminder => reminder.times.forEach(time => {
+            const [h, m] = time.split(':').map(Number);
+            const cells = [];
+            for (let i = 0; i < days; i++) {
+                const day = new Date(start);
+                day.setDate(day.getDate() + i);
+                const at = new Date(day.getFullYear(), day.getMonth(), day.getDate(), h, m).getTime();
+                const date = localDate(at);
+                const entry = byKey.get(doseKey({ reminderId: reminder.id, date, time }));
+                const status = entry ? entry.status
+                    : at < reminder.created ? null
+                    : at <= now ? 'missed' : 'upcoming';
+                cells.push({ date, at, status });
+            }
+            rows.push({ reminder, time, cells });
+        }));
+        return rows;
+    }
+
+    // Doses taken out of those already due: { taken, due, percent } (percent null when none were due)
+    function adherence(rows) {
+        let taken = 0, due = 0;
+        rows.forEach(row => row.cells.forEach(cell => {
+            if (!cell.status || cell.status === 'upcoming') return;
+            due++;
+            if (cell.status === 'taken') taken++;
+        }));
+        return { taken, due, percent: due ? Math.round(taken / due * 100) : null };
+    }
+
+    /**
+     * When a reminder's medicine runs out: the doses on hand when `stock` was
+     * entered, less one for each dose taken since, at the reminder's doses a day.
+     * { left, perDay, daysLeft, runsOut (ms), nudge } or null without a stock;
+     * `nudge` is true within REFILL_NUDGE_DAYS of running out.
+     */
+    function refillForecast(reminder, log, now) {
+        if (!reminder.stock || !reminder.times.length) return null;
+        const taken = log.filter(e => e.reminderId === reminder.id && e.status === 'taken' && e.at >= reminder.stock.at).length;
+        const left = Math.max(0, reminder.stock.units - taken);
+        const perDay = reminder.times.length;
+        const daysLeft = Math.floor(left / perDay);
+        return { left, perDay, daysLeft, runsOut: startOfDay(now) + daysLeft * DAY, nudge: daysLeft <= REFILL_NUDGE_DAYS };
+    }
+
+    // The next dose after `now`, or null when there are no reminders
+    function nextDose(reminders, now) {
+        return dosesBetween(reminders, now, now + 2 * DAY)[0] || null;
+    }
+
+    /**
+     * Title and showNotification() options for a dose, with "Taken" and
+     * "Snooze" buttons where the browser supports notification actions,
+     * worded by `t` (js/i18n.js) in the user's language.
+     */
+    function notification(dose, t) {
+        return {
+            title: '💊 ' + t('notification.title'),
+            options: {
+                body: t('notification.body', { medicine: dose.medicine, time: dose.time }),
+                tag: 'med-reminder-' + doseKey(dose),
+                data: dose,
+                requireInteraction: true,
+                actions: [
+                    { action: 'taken', title: '✅ ' + t('notification.taken') },
+                    { action: 'snooze', title: '⏰ ' + t('notification.snooze', { count: SNOOZE_MINUTES }) }
+                ]
+            }
+        };
+    }
+
+    // ─── Storage ─────────────────────────────────────────────────────────────
+
+    // All reminders
+    async function load() {
+        return (await MedStore.getAll('reminders')).map(normalize);
+    }
+
+    function save(reminders) {
+        return MedStore.replaceAll('reminders', reminders.map(normalize));
+    }
+
+    function doseLog() {
+        return MedStore.getAll('doses');
+    }
+
+    // Record what became of a dose: 'taken', 'skipped' or 'snoozed'
+    function logDose(dose, status, now = Date.now()) {
+        const { reminderId, medicine, date, time } = dose;
+        return MedStore.put('doses', { key: doseKey(dose), reminderId, medicine, date, time, status, at: now });
+    }
+
+    // Bring a dose back in `minutes`; snoozes older than a day are dropped
+    async function snooze(dose, minutes = SNOOZE_MINUTES, now = Date.now()) {
+        const reminders = await load();
+        const reminder = reminders.find(r => r.id === dose.reminderId);
+        if (!reminder) return;
+        reminder.snoozed = reminder.snoozed.filter(s => s.at > now - DAY && doseKey(s) !== doseKey(dose));
+        reminder.snoozed.push({ reminderId: dose.reminderId, medicine: dose.medicine, date: dose.date, time: dose.time, at: now + minutes * 60000 });
+        await save(reminders);
+        await logDose(dose, 'snoozed', now);
+    }
+
+    /**
+     * The doses that have come due since the last call and are not settled yet,
+     * at most LATE_LIMIT late. Whoever calls it (the page or the service
+     * worker) shows them, so no dose is shown twice.
+     */
+    async function takeDue(now = Date.now()) {
+        const last = await MedStore.get('meta', 'lastChecked');
+        await MedStore.put('meta', now, 'lastChecked');
+        // The first check only starts the clock
+        if (!last) return [];
+        const done = new Set((await doseLog()).filter(settled).map(e => e.key));
+        return dosesBetween(await load(), Math.max(last, now - LATE_LIMIT), now)
+            .filter(dose => !done.has(doseKey(dose)));
+    }
+
+    return {
+        SYNC_TAG,
+        SNOOZE_MINUTES,
+        REFILL_NUDGE_DAYS,
+        REPEATS,
+        timesFor,
+        normalize,
+        localDate,
+        doseKey,
+        dosesBetween,
+        nextDose,
+        notification,
+        settled,
+        startOfDay,
+        doseCalendar,
+        adherence,
+        refillForecast,
+        // Kept in memory only, reminders would be gone with the page
+        available: MedStore.kind !== 'memory',
+        usesIndexedDB: MedStore.kind === 'indexedDB',
+        load,
+        save,
+        doseLog,
+        logDose,
+        snooze,
+        takeDue
+    };
+});
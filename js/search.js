@@ -0,0 +1,295 @@
+/**
+ * js/search.js
+ * Typo-tolerant, ranked medicine search, shared by index.html (window.MedSearch)
+ * and generate-pages.js (require('./js/search')), which prebuilds the index as
+ * data/search-index.json. Depends on js/composition.js.
+ *
+ *   const index = buildIndex(medicines);
+ *   search(index, medicines, 'paracetmol')
+ *   → [{ med, score, terms: ['paracetamol'] }, ...] best first
+ *
+ * Every word of the query must match a word of the medicine, exactly, as a
+ * prefix, within a small edit distance ("azithromicin") or by sound
+ * ("paracitamol"). A match counts more in the brand than in the generic name,
+ * more there than in an alternative's name, and least in the usage text.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory(require('./composition'));
+    else root.MedSearch = factory(root.MedComposition);
+})(typeof self !== 'undefined' ? self : this, function (MedComposition) {
+
+    const INDEX_VERSION = 1;
+    const FIELDS = ['brand', 'generic', 'alternative', 'usage'];
+    const FIELD_WEIGHTS = [10, 6, 3, 1];
+
+    // How much a word match is worth, by how it matched
+    const MATCH = { exact: 1, prefix: 0.8, fuzzy1: 0.6, fuzzy2: 0.4, sound: 0.45 };
+    // Consonants a sound-alike key needs before it is trusted
+    const MIN_SOUND_KEY = 3;
+
+    // Words too common in usage text to be worth indexing
+    const STOP_WORDS = ['a', 'an', 'and', 'the', 'of', 'for', 'in', 'to', 'with', 'or', 'by', 'as', 'on', 'used', 'generic'];
+
+    // "Dolo-650" → ["dolo", "650"]; "60SR" → ["60", "sr"]
+    function tokenize(text) {
+        return String(text || '').toLowerCase()
+            .replace(/([a-z])(\d)|(\d)([a-z])/g, '$1$3 $2$4')
+            .split(/[^a-z0-9]+/)
+            .filter(Boolean);
+    }
+
+    /**
+     * A rough sound-alike key for drug names: "paracitamol" and "paracetamol"
+     * share one, as do "azithromicin" and "azithromycin".
+     */
+    function phonetic(word) {
+        if (!/^[a-z]{4,}$/.test(word)) return null;
+        const w = word
+            .replace(/ph/g, 'f').replace(/th/g, 't').replace(/y/g, 'i').replace(/z/g, 's')
+            .replace(/c([eiy])/g, 's$1').replace(/ck|c|q/g, 'k').replace(/x/g, 'ks')
+            .replace(/([bcdfgjklmnprstvwxz])h/g, '$1');
+        const key = w[0] + w.slice(1).replace(/[aeiouh]/g, '');
+        return key.replace(/(.)\1+/g, '$1');
+    }
+
+    // Edit distance (adjacent swaps count as one), or max + 1 once it exceeds `max`
+    function editDistance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+        let prev2 = null;
+        let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const row = [i];
+            let best = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let d = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+                if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) d = Math.min(d, prev2[j - 2] + 1);
+                row.push(d);
+                if (d < best) best = d;
+            }
+            if (best > max) return max + 1;
+            prev2 = prev;
+            prev = row;
+        }
+        return prev[b.length];
+    }
+
+    // Typos allowed for a word of this length
+    function allowedTypos(word) {
+        return word.length >= 8 ? 2 : word.length >= 4 ? 1 : 0;
+    }
+
+    // ─── Index ───────────────────────────────────────────────────────────────
+
+    // Words of each field of a medicine; the generic field also gets the
+    // canonical ingredient names and their synonyms ("acetaminophen")
+    function fieldWords(med) {
+        const ingredients = MedComposition.compositionOf(med).map(c => c.ingredient);
+        const synonyms = ingredients.map(name => (MedComposition.SYNONYMS[name] || []).join(' '));
+        return [
+            tokenize(med.brand),
+            tokenize([med.generic].concat(ingredients, synonyms).join(' ')),
+            tokenize((med.alternatives || []).map(alt => alt.name).join(' ')),
+            tokenize(med.usage).filter(w => !STOP_WORDS.includes(w))
+        ];
+    }
+
+    /**
+     * Build the search index: { version, docs: [id...], terms: { word: [[doc, field]...] },
+     * sounds: { key: [word...] } }. Plain JSON, so it can be saved and fetched.
+     * generate-pages.js also passes `pages` (each medicine's page slug, in order)
+     * and `salts` ([{ name, slug, count }] with a generics/ page) for the
+     * autocomplete; an index built in the browser goes without them.
+     */
+    function buildIndex(medicines, extras = {}) {
+        const terms = {};
+        medicines.forEach((med, doc) => {
+            fieldWords(med).forEach((words, field) => {
+                new Set(words).forEach(word => {
+                    if (!Object.prototype.hasOwnProperty.call(terms, word)) terms[word] = [];
+                    terms[word].push([doc, field]);
+                });
+            });
+        });
+        const sounds = {};
+        Object.keys(terms).forEach(word => {
+            const key = phonetic(word);
+            if (key) (sounds[key] = sounds[key] || []).push(word);
+        });
+        const index = { version: INDEX_VERSION, docs: medicines.map(med => med.id), terms, sounds };
+        if (extras.pages) index.pages = extras.pages;
+        if (extras.salts) index.salts = extras.salts;
+        return index;
+    }
+
+    // Whether a saved index was built from this list of medicines
+    function indexMatches(index, medicines) {
+        return Boolean(index) && index.version === INDEX_VERSION && index.docs.length === medicines.length &&
+            index.docs.every((id, i) => medicines[i].id === id);
+    }
+
+    // ─── Searching ───────────────────────────────────────────────────────────
+
+    // Index words a query word matches: [{ word, quality }]
+    function expand(index, queryWord, isLast) {
+        const found = new Map();
+        const add = (word, quality) => {
+            if (!found.has(word) || found.get(word) < quality) found.set(word, quality);
+        };
+        const hasTerm = (word) => Object.prototype.hasOwnProperty.call(index.terms, word);
+        if (hasTerm(queryWord)) add(queryWord, MATCH.exact);
+
+        const numeric = /^\d/.test(queryWord);
+        const typos = numeric ? 0 : allowedTypos(queryWord);
+        // The last word may still be being typed, so it also matches as a prefix
+        const prefixOk = isLast || queryWord.length >= 3;
+        Object.keys(index.terms).forEach(word => {
+            if (word === queryWord) return;
+            if (prefixOk && word.startsWith(queryWord) && (queryWord.length >= 2 || numeric)) add(word, MATCH.prefix);
+            if (typos) {
+                const d = editDistance(queryWord, word, typos);
+                if (d <= typos) add(word, d === 1 ? MATCH.fuzzy1 : MATCH.fuzzy2);
+            }
+        });
+        // Short keys ("ks" for "xyzzy") are shared by unrelated words, and even a
+        // longer one only counts for a word spelt something like the query
+        const key = phonetic(queryWord);
+        if (key && key.length >= MIN_SOUND_KEY && index.sounds[key]) {
+            index.sounds[key].forEach(word => {
+                const max = Math.max(2, Math.floor(Math.max(word.length, queryWord.length) * 0.4));
+                if (editDistance(queryWord, word, max) <= max) add(word, MATCH.sound);
+            });
+        }
+        return [...found].map(([word, quality]) => ({ word, quality }));
+    }
+
+    /**
+     * Rank medicines for `query`. Returns [{ med, score, terms }] best first,
+     * where `terms` are the index words that matched (for highlight()).
+     * `medicines` must be the list the index was built from.
+     */
+    function search(index, medicines, query) {
+        const words = tokenize(query);
+        if (words.length === 0) return [];
+
+        const scores = new Map();
+        const matched = new Map();
+        words.forEach((queryWord, n) => {
+            const best = new Map();
+            expand(index, queryWord, n === words.length - 1).forEach(({ word, quality }) => {
+                index.terms[word].forEach(([doc, field]) => {
+                    const value = quality * FIELD_WEIGHTS[field];
+                    const current = best.get(doc);
+                    if (!current || current.value < value) best.set(doc, { value, word });
+                    if (!matched.has(doc)) matched.set(doc, new Set());
+                    matched.get(doc).add(word);
+                });
+            });
+            // Every query word has to match
+            if (n === 0) best.forEach((b, doc) => scores.set(doc, b.value));
+            else [...scores.keys()].forEach(doc => {
+                if (best.has(doc)) scores.set(doc, scores.get(doc) + best.get(doc).value);
+                else scores.delete(doc);
+            });
+        });
+
+        const phrase = words.join(' ');
+        return [...scores].map(([doc, score]) => {
+            const med = medicines[doc];
+            const brand = tokenize(med.brand).join(' ');
+            // The brand typed in full, or its start, beats a brand that merely contains the words
+            if (brand === phrase) score += 20;
+            else if (brand.startsWith(phrase)) score += 5;
+            return { med, score, terms: [...matched.get(doc)] };
+        }).sort((a, b) => b.score - a.score || a.med.brand.localeCompare(b.med.brand));
+    }
+
+    /**
+     * Salt pages whose name matches every word of `query`, best first:
+     * [{ name, slug, count }]. Empty when the index has no salts.
+     */
+    function searchSalts(index, query, limit = 3) {
+        const words = tokenize(query);
+        if (!index.salts || words.length === 0) return [];
+        const expansions = words.map((word, n) => {
+            const qualities = new Map();
+            expand(index, word, n === words.length - 1).forEach(c => qualities.set(c.word, c.quality));
+            return qualities;
+        });
+        return index.salts.map(salt => {
+            const saltWords = tokenize(salt.name);
+            let score = 0;
+            for (const qualities of expansions) {
+                const best = Math.max(0, ...saltWords.map(w => qualities.get(w) || 0));
+                if (best === 0) return null;
+                score += best;
+            }
+            // "Paracetamol" before "Paracetamol + Caffeine"
+            return { salt, score: score - saltWords.length * 0.01 };
+        }).filter(Boolean)
+            .sort((a, b) => b.score - a.score || b.salt.count - a.salt.count)
+            .slice(0, limit)
+            .map(r => r.salt);
+    }
+
+    /**
+     * "Did you mean": the query with each misspelt word replaced by the
+     * closest indexed word, or null when every word is already known.
+     */
+    function suggest(index, query) {
+        const words = tokenize(query);
+        let changed = false;
+        const corrected = words.map(queryWord => {
+            if (/^\d/.test(queryWord) || Object.prototype.hasOwnProperty.call(index.terms, queryWord)) return queryWord;
+            const matches = expand(index, queryWord, true);
+            // A word that starts an indexed word is probably still being typed
+            if (matches.some(c => c.quality === MATCH.prefix)) return queryWord;
+            const candidates = matches.filter(c => c.quality < MATCH.prefix);
+            if (candidates.length === 0) return queryWord;
+            // Closest first, then the word found in the most brand and generic names
+            const weight = (word) => index.terms[word].reduce((sum, [, field]) => sum + FIELD_WEIGHTS[field], 0);
+            candidates.sort((a, b) => b.quality - a.quality || weight(b.word) - weight(a.word));
+            changed = true;
+            return candidates[0].word;
+        });
+        return changed ? corrected.join(' ') : null;
+    }
+
+    function escapeHtml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
+    /**
+     * `text` as HTML with the words that start with any of `terms` wrapped in <mark>.
+     * "Dolo 650", ['dolo'] → "<mark>Dolo</mark> 650"
+     */
+    function highlight(text, terms) {
+        const str = String(text || '');
+        if (!terms || terms.length === 0) return escapeHtml(str);
+        const pattern = terms.slice().sort((a, b) => b.length - a.length)
+            .map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+        const re = new RegExp(`(^|[^a-z0-9])(${pattern})`, 'gi');
+        let html = '', last = 0, m;
+        while ((m = re.exec(str))) {
+            const start = m.index + m[1].length;
+            html += escapeHtml(str.slice(last, start)) + '<mark>' + escapeHtml(m[2]) + '</mark>';
+            last = start + m[2].length;
+        }
+        return html + escapeHtml(str.slice(last));
+    }
+
+    return {
+        FIELDS,
+        FIELD_WEIGHTS,
+        tokenize,
+        phonetic,
+        editDistance,
+        buildIndex,
+        indexMatches,
+        search,
+        searchSalts,
+        suggest,
+        highlight
+    };
+});
@@ -0,0 +1,299 @@
+/**
+ * js/store.js
+ * Where everything the site saves for its user is kept, shared by index.html
+ * (window.MedStore), sw.js (importScripts) and, through js/reminders.js and
+ * js/backup.js, the Node scripts (require('./js/store')).
+ *
+ * The saved collections are:
+ *   bookmarks       ["Dolo 650", ...]
+ *   feedback        { "Dolo 650": { up, down, voted }, ... }
+ *   familyCabinet   { "Mom": [{ brand, dose, frequency, start, doctor }], ... }
+ *   reminders       [reminder...]   (see js/reminders.js)
+ *   doses           [dose log entry...]
+ * and each remembers when it was last changed, so js/backup.js can tell
+ * which copy is newer when two devices sync.
+ *
+ * They live in one IndexedDB database, which the page and the service worker
+ * can both reach. Its schema is versioned: MIGRATIONS brings a database from
+ * any older version up to DB_VERSION, and the first time it opens in a page,
+ * data that older versions of the site kept in separate localStorage keys is
+ * moved into it. Where there is no IndexedDB the same keys stay in use, and
+ * in Node everything is kept in memory.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.MedStore = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+
+    const DB_NAME = 'generic-med';
+    const DB_VERSION = 2;
+
+    // Object stores and their key paths (null: keys are given with each value)
+    const STORES = { reminders: 'id', doses: 'key', meta: null, data: null };
+
+    // What each version adds to the database; index 1 is version 1
+    const MIGRATIONS = [
+        null,
+        // 1: reminders by id, the dose log by js/reminders.js doseKey(), and a few settings
+        (db) => {
+            db.createObjectStore('reminders', { keyPath: 'id' });
+            db.createObjectStore('doses', { keyPath: 'key' });
+            db.createObjectStore('meta');
+        },
+        // 2: the page's saved lists, one value per collection
+        (db) => {
+            db.createObjectStore('data');
+        }
+    ];
+
+    const COLLECTIONS = ['bookmarks', 'feedback', 'familyCabinet', 'reminders', 'doses'];
+    // Collections kept in a store of their own; the rest are values in `data`
+    const LIST_STORES = ['reminders', 'doses'];
+
+    // The localStorage keys older versions of the site used for each collection
+    const LEGACY_KEYS = {
+        bookmarks: 'medBookmarks',
+        feedback: 'medFeedback',
+        familyCabinet: 'familyCabinet',
+        reminders: 'medReminders'
+    };
+
+    // ─── IndexedDB ───────────────────────────────────────────────────────────
+
+    function request(req) {
+        return new Promise((resolve, reject) => {
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    function indexedDBBackend() {
+        let dbPromise = null;
+
+        function openDB() {
+            if (!dbPromise) {
+                dbPromise = new Promise((resolve, reject) => {
+                    const req = indexedDB.open(DB_NAME, DB_VERSION);
+                    req.onupgradeneeded = (event) => {
+                        for (let v = event.oldVersion + 1; v <= DB_VERSION; v++) MIGRATIONS[v](req.result);
+                    };
+                    req.onsuccess = () => {
+                        // Another tab opening a newer version needs this one out of the way
+                        req.result.onversionchange = () => req.result.close();
+                        resolve(req.result);
+                    };
+                    req.onerror = () => reject(req.error);
+                });
+            }
+            return dbPromise;
+        }
+
+        // Run `fn(store)` in a transaction; resolves with the value of the request it returns
+        function withStore(name, mode, fn) {
+            return openDB().then(db => new Promise((resolve, reject) => {
+                const tx = db.transaction(name, mode);
+                const req = fn(tx.objectStore(name));
+                tx.oncomplete = () => resolve(req ? req.result : undefined);
+                tx.onerror = () => reject(tx.error);
+            }));
+        }
+
+        return {
+            kind: 'indexedDB',
+            getAll: (name) => withStore(name, 'readonly', store => store.getAll()),
+            get: (name, key) => withStore(name, 'readonly', store => store.get(key)),
+            put: (name, value, key) => withStore(name, 'readwrite', store => STORES[name] ? store.put(value) : store.put(value, key)),
+            replaceAll: (name, values) => withStore(name, 'readwrite', store => {
+                store.clear();
+                values.forEach(value => store.put(value));
+            })
+        };
+    }
+
+    // ─── localStorage and memory ─────────────────────────────────────────────
+
+    // The same operations on localStorage-like `storage`: a key per list
+    // store and per collection in `data`, and one for the settings
+    function keyValueBackend(kind, storage) {
+        const keyOf = (name, key) => name === 'data' ? LEGACY_KEYS[key] || 'med' + key[0].toUpperCase() + key.slice(1)
+            : name === 'meta' ? 'medStoreMeta'
+            : name === 'reminders' ? 'medReminders' : 'medReminderDoses';
+        const read = (name, key) => {
+            const raw = storage.getItem(keyOf(name, key));
+            if (name === 'data') return raw === null ? undefined : JSON.parse(raw);
+            return JSON.parse(raw || (STORES[name] ? '[]' : '{}'));
+        };
+        const write = (name, value, key) => storage.setItem(keyOf(name, key), JSON.stringify(value));
+
+        return {
+            kind,
+            getAll: (name) => Promise.resolve(read(name)),
+            get: (name, key) => Promise.resolve(name === 'data' ? read(name, key) : read(name)[key]),
+            put: (name, value, key) => {
+                if (name === 'data') {
+                    write(name, value, key);
+                } else if (STORES[name]) {
+                    const all = read(name);
+                    const i = all.findIndex(v => v[STORES[name]] === value[STORES[name]]);
+                    if (i > -1) all[i] = value;
+                    else all.push(value);
+                    write(name, all);
+                } else {
+                    const all = read(name);
+                    all[key] = value;
+                    write(name, all);
+                }
+                return Promise.resolve();
+            },
+            replaceAll: (name, values) => Promise.resolve(write(name, values))
+        };
+    }
+
+    function memoryStorage() {
+        const items = new Map();
+        return {
+            getItem: (key) => items.has(key) ? items.get(key) : null,
+            setItem: (key, value) => items.set(key, String(value)),
+            removeItem: (key) => items.delete(key)
+        };
+    }
+
+    // ─── Store ───────────────────────────────────────────────────────────────
+
+    /**
+     * A store on `kind` ('indexedDB', 'localStorage' or 'memory'; by default
+     * the best one there is). Every method returns a promise.
+     */
+    function create(kind) {
+        kind = kind || (typeof indexedDB !== 'undefined' ? 'indexedDB'
+            : typeof localStorage !== 'undefined' ? 'localStorage' : 'memory');
+        const backend = kind === 'indexedDB' ? indexedDBBackend()
+            : keyValueBackend(kind, kind === 'localStorage' ? localStorage : memoryStorage());
+
+        // A write to a collection notes when it happened
+        const collectionOf = (name, key) => name === 'data' ? key : name;
+        const touch = (collection, at) => backend.put('meta', at, 'modified:' + collection);
+
+        /**
+         * Move what older versions of the page kept in localStorage into
+         * IndexedDB, once. Reminders are added to any already there; the other
+         * collections only fill in what IndexedDB does not have yet.
+         */
+        async function migrateLocalStorage() {
+            if (kind !== 'indexedDB' || typeof localStorage === 'undefined') return;
+            for (const [collection, key] of Object.entries(LEGACY_KEYS)) {
+                const raw = localStorage.getItem(key);
+                if (raw === null) continue;
+                let legacy;
+                try {
+                    legacy = JSON.parse(raw);
+                } catch (e) {
+                    console.error(`Could not read the saved ${collection}:`, e);
+                    continue;
+                }
+                const current = await readRaw(collection);
+                if (collection === 'reminders') {
+                    const ids = new Set(current.map(r => r.id));
+                    await backend.replaceAll('reminders', current.concat(legacy.filter(r => !ids.has(r.id))));
+                    await touch(collection, Date.now());
+                } else if (current === undefined) {
+                    await backend.put('data', legacy, collection);
+                    await touch(collection, Date.now());
+                }
+                localStorage.removeItem(key);
+            }
+        }
+
+        let readyPromise = null;
+        function ready() {
+            if (!readyPromise) readyPromise = migrateLocalStorage();
+            return readyPromise;
+        }
+
+        const readRaw = (collection) => LIST_STORES.includes(collection) ? backend.getAll(collection) : backend.get('data', collection);
+        const after = (fn) => (...args) => ready().then(() => fn(...args));
+
+        // Writes that change a collection; `meta` settings do not count
+        async function put(name, value, key) {
+            await backend.put(name, value, key);
+            if (name !== 'meta') await touch(collectionOf(name, key), Date.now());
+        }
+
+        async function replaceAll(name, values) {
+            await backend.replaceAll(name, values);
+            await touch(name, Date.now());
+        }
+
+        /**
+         * A collection's value: an array for the list stores, otherwise
+         * whatever was saved, or undefined when nothing was.
+         */
+        function read(collection) {
+            return readRaw(collection);
+        }
+
+        // Save a whole collection; `modified` is for restoring a copy made elsewhere
+        async function write(collection, value, modified = Date.now()) {
+            if (LIST_STORES.includes(collection)) await backend.replaceAll(collection, value);
+            else await backend.put('data', value, collection);
+            await touch(collection, modified);
+        }
+
+        // When a collection was last changed (ms), or 0 when it never was
+        async function modified(collection) {
+            return (await backend.get('meta', 'modified:' + collection)) || 0;
+        }
+
+        /**
+         * Everything saved, as plain JSON for a backup:
+         * { schema: DB_VERSION, collections: { bookmarks: { value, modified }, ... } }
+         * Collections never saved are left out.
+         */
+        async function snapshot() {
+            const collections = {};
+            for (const collection of COLLECTIONS) {
+                const value = await readRaw(collection);
+                const changed = await modified(collection);
+                if (value === undefined || (!changed && Array.isArray(value) && value.length === 0)) continue;
+                collections[collection] = { value, modified: changed };
+            }
+            return { schema: DB_VERSION, collections };
+        }
+
+        /**
+         * Save the collections of a snapshot() over the ones here, keeping
+         * their modified times; collections it does not have are left alone.
+         */
+        async function restore(snap) {
+            if (!snap || typeof snap.collections !== 'object') throw new Error('This is not a saved copy of the site\'s data.');
+            if (snap.schema > DB_VERSION) throw new Error('This was saved by a newer version of the site. Reload the page and try again.');
+            for (const collection of COLLECTIONS) {
+                const entry = snap.collections[collection];
+                if (entry) await write(collection, entry.value, entry.modified || Date.now());
+            }
+        }
+
+        return {
+            kind,
+            ready,
+            getAll: after(backend.getAll),
+            get: after(backend.get),
+            put: after(put),
+            replaceAll: after(replaceAll),
+            read: after(read),
+            write: after(write),
+            modified: after(modified),
+            snapshot: after(snapshot),
+            restore: after(restore)
+        };
+    }
+
+    return Object.assign(create(), {
+        DB_NAME,
+        DB_VERSION,
+        MIGRATIONS,
+        COLLECTIONS,
+        LEGACY_KEYS,
+        create
+    });
+});
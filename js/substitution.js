@@ -0,0 +1,243 @@
+/**
+ * js/substitution.js
+ * Decides whether an alternative can stand in for a medicine as it is, shared
+ * by index.html (window.MedSubstitution) and generate-pages.js
+ * (require('./js/substitution')). Depends on js/composition.js and js/price.js.
+ *
+ *   classify(dolo650, { name: "Crocin 650" }, medicines)
+ *   → { status: "exact", label: "Exact substitute", reason: "650" }
+ *
+ * Each alternative is one of:
+ *   composition  a different active ingredient ("Calpol" for mefenamic acid)
+ *   exact        same strength and dosage form as the medicine
+ *   strength     a different strength ("Crocin 650" for a 500mg tablet)
+ *   formulation  a different release type or dosage form (SR vs plain, syrup vs tablet)
+ *   unverified   nothing contradicts it, but the data does not state the strength or form
+ *
+ * An alternative that is itself in the catalogue is judged by its own record;
+ * otherwise by the strength and form written in its name ("Voveran SR 100").
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory(require('./composition'), require('./price'));
+    else root.MedSubstitution = factory(root.MedComposition, root.MedPrice);
+})(typeof self !== 'undefined' ? self : this, function (MedComposition, MedPrice) {
+
+    const LABELS = {
+        composition: 'Different composition',
+        exact: 'Exact substitute',
+        strength: 'Different strength',
+        formulation: 'Different formulation',
+        unverified: 'Not verified'
+    };
+
+    // Release types: SR, XR, CD... all extend release; EC / DSR delay it
+    const RELEASE = [
+        { type: 'modified', pattern: /\b(?:sr|er|xr|xl|cr|pr|mr|od|la|cd|(?:extended|sustained|prolonged|controlled|modified)[\s-]release)\b/i },
+        { type: 'delayed', pattern: /\b(?:ec|dsr|delayed[\s-]release|enteric[\s-]coated)\b/i }
+    ];
+
+    // Dosage forms told apart by name; "gel" is both an antacid and a skin gel, so it is not one
+    const FORMS = [
+        { form: 'liquid', pattern: /\b(?:syrup|suspension|mixture|oral solution|elixir|dry syrup)\b/i },
+        { form: 'drops', pattern: /\b(?:drops?|eye|ear|nasal)\b/i },
+        { form: 'topical', pattern: /\b(?:cream|ointment|lotion|emulgel)\b/i },
+        { form: 'injection', pattern: /\b(?:injection|inj|vial|ampoule)\b/i },
+        { form: 'inhaled', pattern: /\b(?:inhaler|rotacaps?|respules?|nebuli[sz]er)\b/i }
+    ];
+    // ...or, for the medicine itself, by its pack
+    const PACK_FORMS = {
+        tablet: 'oral', capsule: 'oral', strip: 'oral',
+        tube: 'topical', vial: 'injection', ampoule: 'injection', injection: 'injection',
+        inhaler: 'inhaled', respule: 'inhaled'
+    };
+
+    // "Telma H (with HCTZ)", "Rifater (combination)": a name that adds ingredients
+    const COMBINATION_NOTE = /\((?:with\s[^)]*|combo|combination)\)/i;
+
+    // Standalone numbers in a name: "Dolo 650", "P-500", "Ambroxol 60SR", "Otrivin 0.1%"
+    const NUMBER = /(^|[\s\-\/+])(\d+(?:\.\d+)?)\s*(mg|mcg|µg|g|iu|%)?(?=$|[\s\-\/+,)]|(?:sr|xr|er|mr|od|cr)\b)/gi;
+
+    function baseName(name) {
+        return String(name || '').replace(/\s*\(.*?\)\s*$/, '').trim();
+    }
+
+    function releaseOf(text) {
+        const match = RELEASE.find(r => r.pattern.test(text));
+        return match ? match.type : null;
+    }
+
+    function formOf(text, price) {
+        const match = FORMS.find(f => f.pattern.test(text));
+        if (match) return match.form;
+        if (!price) return null;
+        return PACK_FORMS[price.unit] || PACK_FORMS[price.pack] || null;
+    }
+
+    function numbersIn(text) {
+        const found = [];
+        let m;
+        NUMBER.lastIndex = 0;
+        while ((m = NUMBER.exec(text))) {
+            found.push({ value: +m[2], unit: m[3] ? m[3].toLowerCase().replace('µg', 'mcg') : null, joined: m[1] === '-' });
+        }
+        // "Doxy-1 100", "Omega-3 1000mg": a number joined to the name is part of it
+        // when a separate number follows
+        const separate = found.filter(n => !n.joined);
+        return (separate.length ? separate : found).map(n => ({ value: n.value, unit: n.unit }));
+    }
+
+    /**
+     * Strengths a catalogue medicine is sold in: every ingredient's strength
+     * when the generic name gives them all, else the number in the brand name
+     * ("Dolo 650"), the pack strength, or a combination's total ("... 625mg").
+     * Empty when none of these is known.
+     */
+    function strengthsOf(med) {
+        const composition = MedComposition.compositionOf(med);
+        if (composition.length && composition.every(c => c.strength !== null)) {
+            return composition.map(c => ({ value: c.strength, unit: c.unit.toLowerCase() }));
+        }
+        const fromBrand = numbersIn(med.brand);
+        if (fromBrand.length) return fromBrand;
+        if (med.price && med.price.strength) return numbersIn(med.price.strength);
+        return composition.length > 1 ? numbersIn(med.generic).slice(-1) : [];
+    }
+
+    // 100IU and 100IU/ml are the same strength when one name leaves out the volume
+    function sameValue(a, b) {
+        if (a.unit && b.unit && (!a.unit.includes('/') || !b.unit.includes('/'))) {
+            a = { value: a.value, unit: a.unit.split('/')[0] };
+            b = { value: b.value, unit: b.unit.split('/')[0] };
+        }
+        if (!a.unit || !b.unit || a.unit === b.unit) return Math.abs(a.value - b.value) < 1e-9;
+        const base = (s) => s.unit === 'mcg' ? s.value / 1000 : s.unit === 'g' ? s.value * 1000 : s.value;
+        const convertible = (u) => ['mg', 'mcg', 'g'].includes(u);
+        return convertible(a.unit) && convertible(b.unit) && Math.abs(base(a) - base(b)) < 1e-9;
+    }
+
+    // Same strengths in any order; null when either side does not state one.
+    // A combination is often named by one number: its total ("Entresto 50" is
+    // 24mg + 26mg) or its main ingredient ("Shelcal 500" is 500mg + 250 IU).
+    function sameStrengths(a, b) {
+        if (!a.length || !b.length) return null;
+        if (a.length !== b.length) {
+            const [one, many] = a.length === 1 ? [a[0], b] : b.length === 1 ? [b[0], a] : [];
+            if (!one) return false;
+            const total = { value: many.reduce((sum, s) => sum + s.value, 0), unit: many[0].unit };
+            return many.concat([total]).some(s => sameValue(one, s)) ? true : null;
+        }
+        const rest = b.slice();
+        return a.every(x => {
+            const i = rest.findIndex(y => sameValue(x, y));
+            if (i === -1) return false;
+            rest.splice(i, 1);
+            return true;
+        });
+    }
+
+    function ingredients(composition) {
+        return composition.map(c => c.ingredient).join(' + ');
+    }
+
+    function describe(strengths) {
+        return strengths.map(s => s.value + (s.unit ? s.unit.replace(/^iu/, ' IU') : '')).join(' + ');
+    }
+
+    const indexes = typeof WeakMap === 'function' ? new WeakMap() : null;
+
+    // Catalogue medicines by lower-case brand name
+    function indexOf(catalogue) {
+        if (indexes && indexes.has(catalogue)) return indexes.get(catalogue);
+        const index = new Map();
+        (catalogue || []).forEach(med => { if (!index.has(med.brand.toLowerCase())) index.set(med.brand.toLowerCase(), med); });
+        if (indexes) indexes.set(catalogue, index);
+        return index;
+    }
+
+    /**
+     * Classify one alternative of `med`. `catalogue` is the full medicine list,
+     * used to look up alternatives that have their own entry.
+     * Returns { status, label, reason }; reason says what differs ("650 vs 500").
+     */
+    function classify(med, alt, catalogue) {
+        const name = baseName(alt.name);
+        // "Telmisartan (Generic)" is any maker's generic, not the catalogue entry "Telmisartan"
+        const record = /\(generic\)/i.test(alt.name) ? null : indexOf(catalogue).get(name.toLowerCase());
+        const medText = `${med.brand} ${med.generic}`;
+        const altText = record ? `${record.brand} ${record.generic}` : name;
+        const result = (status, reason) => ({ status, label: LABELS[status], reason: reason || '' });
+
+        const medComposition = MedComposition.compositionOf(med);
+        if (record) {
+            const altComposition = MedComposition.compositionOf(record);
+            if (altComposition.length && !MedComposition.sameSalt(altComposition, medComposition)) {
+                return result('composition', `${ingredients(altComposition)} vs ${ingredients(medComposition)}`);
+            }
+        } else if (medComposition.length === 1 && COMBINATION_NOTE.test(alt.name)) {
+            return result('composition', `${alt.name.match(COMBINATION_NOTE)[0].slice(1, -1)} vs ${ingredients(medComposition)} alone`);
+        }
+
+        const medRelease = releaseOf(medText);
+        const altRelease = releaseOf(altText);
+        if (altRelease && altRelease !== medRelease) {
+            return result('formulation', `${altRelease} release vs ${medRelease || 'plain'}`);
+        }
+        const medForm = formOf(medText, med.price);
+        const altForm = formOf(altText, record ? record.price : null);
+        if (medForm && altForm && medForm !== altForm) return result('formulation', `${altForm} vs ${medForm}`);
+
+        const medStrengths = strengthsOf(med);
+        const altStrengths = record ? strengthsOf(record) : numbersIn(name);
+        const same = sameStrengths(altStrengths, medStrengths);
+        if (same === false) return result('strength', `${describe(altStrengths)} vs ${describe(medStrengths)}`);
+        if (same === null) return result('unverified', 'strength not stated');
+        if (medRelease && !altRelease) return result('unverified', 'release type not stated');
+        return result('exact', describe(medStrengths));
+    }
+
+    // One classification per alternative, in the same order
+    function classifyAll(med, catalogue) {
+        return (med.alternatives || []).map(alt => classify(med, alt, catalogue));
+    }
+
+    // A different composition, strength or formulation cannot simply be swapped in
+    function isMismatch(status) {
+        return status === 'composition' || status === 'strength' || status === 'formulation';
+    }
+
+    // What an alternative costs per unit of the medicine's pack, or per pack when
+    // neither gives a pack size (as MedPrice.savings compares them); null otherwise
+    function comparableCost(med, alt) {
+        if (!alt.price || !(alt.price.min > 0)) return null;
+        const brand = MedPrice.unitCost(med.price);
+        const cost = MedPrice.unitCost(alt.price, med.price);
+        if (brand && cost) return brand.unit === cost.unit ? cost.value : null;
+        return !brand && !alt.price.pack ? alt.price.min : null;
+    }
+
+    /**
+     * The alternative the savings headline is based on: the cheapest one that
+     * is not a mismatch and whose price compares with the medicine's, taken
+     * from the exact substitutes when there are any. Undefined when none is.
+     */
+    function savingsAlternative(med, catalogue) {
+        const candidates = (med.alternatives || []).map(alt => ({
+            alt,
+            status: classify(med, alt, catalogue).status,
+            cost: comparableCost(med, alt)
+        })).filter(c => c.cost !== null && !isMismatch(c.status));
+        const exact = candidates.filter(c => c.status === 'exact');
+        const pool = exact.length ? exact : candidates;
+        if (pool.length === 0) return undefined;
+        return pool.reduce((a, b) => b.cost < a.cost ? b : a).alt;
+    }
+
+    return {
+        LABELS,
+        classify,
+        classifyAll,
+        isMismatch,
+        savingsAlternative,
+        strengthsOf
+    };
+});
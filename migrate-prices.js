@@ -0,0 +1,101 @@
+/**
+ * migrate-prices.js
+ * Converts free-text prices ("₹15-30 per strip (10 tablets)", "₹8-12") in
+ * data/medicines.json into the structured price model from js/price.js and
+ * lists the entries it could only partly parse. Safe to run again: entries
+ * that already have a structured price are left alone.
+ * Run: node migrate-prices.js [--dry-run]
+ */
+
+const { parsePriceRange, parseAltPrice } = require('./js/price');
+
+// A single strength in the generic name ("Atorvastatin 20mg") is the pack strength;
+// combinations ("Atorvastatin 10mg + Aspirin 75mg") are left to the composition.
+function strengthFromGeneric(generic) {
+    const found = String(generic || '').match(/\d+(?:\.\d+)?\s*(?:mg|mcg|iu|%)(?![a-z/])/gi) || [];
+    return found.length === 1 ? found[0].replace(/\s+/g, '').replace(/iu$/i, ' IU') : null;
+}
+
+/**
+ * Migrate one medicine record. Returns { med, problems }.
+ * Only text prices are converted, so already-migrated records come back
+ * unchanged; a brand price with no recognisable "₹min-max per pack" form
+ * is left as text and reported.
+ */
+function migrateMedicine(med) {
+    const problems = [];
+    let price;
+    if (typeof med.priceRange === 'string') {
+        const parsed = parsePriceRange(med.priceRange);
+        price = parsed.price;
+        if (!price) {
+            problems.push(`price "${med.priceRange}": ${parsed.problem}`);
+        } else {
+            if (parsed.problem) problems.push(`price "${med.priceRange}": ${parsed.problem} (kept as note)`);
+            if (!price.note) {
+                if (!price.strength) {
+                    const strength = strengthFromGeneric(med.generic);
+                    if (strength) price.strength = strength;
+                }
+                if (!price.units) problems.push(`price "${med.priceRange}": units per pack unknown, savings compared per pack`);
+            }
+        }
+    }
+
+    const textAlts = Array.isArray(med.alternatives) && med.alternatives.some(alt => alt && typeof alt.price === 'string');
+    if (!price && !textAlts) return { med, problems };
+
+    const alternatives = !textAlts ? med.alternatives : med.alternatives.map(alt => {
+        if (typeof alt.price !== 'string') return alt;
+        const altPrice = parseAltPrice(alt.price);
+        if (!altPrice) {
+            problems.push(`alternative "${alt.name}" price "${alt.price}" not understood`);
+            return alt;
+        }
+        return { ...alt, price: altPrice };
+    });
+
+    // Keep the field order of the original record
+    const migrated = {};
+    Object.keys(med).forEach(key => {
+        if (key === 'priceRange') migrated[price ? 'price' : key] = price || med.priceRange;
+        else if (key === 'alternatives') migrated.alternatives = alternatives;
+        else migrated[key] = med[key];
+    });
+    return { med: migrated, problems };
+}
+
+module.exports = { migrateMedicine };
+
+if (require.main === module) {
+    const { loadMedicines, saveMedicines, validateMedicines } = require('./tools/medicine-db');
+    const dryRun = process.argv.includes('--dry-run');
+
+    let migratedCount = 0, flagged = 0, noUnits = 0;
+    const medicines = loadMedicines().map(med => {
+        const result = migrateMedicine(med);
+        if (result.med !== med) migratedCount++;
+        result.problems.forEach(p => {
+            if (p.includes('units per pack unknown')) { noUnits++; return; }
+            flagged++;
+            console.log(`   ⚠️  ${med.brand}: ${p}`);
+        });
+        return result.med;
+    });
+
+    console.log(`\n${migratedCount} entries migrated, ${flagged} flagged for review, ${noUnits} without a pack size (compared per pack)`);
+
+    if (dryRun) {
+        console.log('Dry run: data/medicines.json not changed');
+        process.exit(0);
+    }
+
+    const errors = validateMedicines(medicines);
+    if (errors.length > 0) {
+        errors.forEach(err => console.error(`   ✗ ${err}`));
+        console.error('❌ Not saved: fix the entries above by hand, then run again');
+        process.exit(1);
+    }
+    saveMedicines(medicines);
+    console.log('✅ data/medicines.json updated');
+}